@@ -3,6 +3,12 @@
 // ==========================
 // Automatically generates regex rules from detected patterns using AI
 
+import StaticFixer, { RULE_SCOPES } from './static-fixer.js';
+import { countAlternatives, parseTemplate } from './replacement-template.js';
+import { convertLegacyPatterns, isLegacyPatternList } from './legacy-patterns.js';
+import { fromSTRegexScript, isSTRegexScriptList, toSTRegexScript } from './st-regex-format.js';
+import { formatLintFindings, hasLintErrors, lintRule } from './rule-linter.js';
+
 const LOG_PREFIX = '[Prose-Guardian:AI-Generator]';
 
 export class AIRegexGenerator {
@@ -47,7 +53,7 @@ export class AIRegexGenerator {
                 try {
                     // Use SillyTavern's generation API
                     const response = await this.callAI(prompt);
-                    const newRules = this.parseAndValidateRules(response, MIN_ALTERNATIVES);
+                    const newRules = this.parseAndValidateRules(response, MIN_ALTERNATIVES, batch.map(p => p.phrase));
 
                     if (newRules.length > 0) {
                         this.saveRulesToSettings(newRules);
@@ -81,9 +87,12 @@ export class AIRegexGenerator {
      * Build optimized AI prompt for regex generation
      */
     buildGenerationPrompt(phrases, minAlternatives) {
-        const phraseList = phrases.map((p, idx) =>
-            `${idx + 1}. "${p.phrase}" (detected ${p.count} times, score: ${p.score.toFixed(1)})`
-        ).join('\n');
+        const phraseList = phrases.map((p, idx) => {
+            // Fuzzy-grouped phrases carry every way they were written
+            const variants = (p.variants || []).filter(v => v !== p.phrase);
+            const seenAs = variants.length > 0 ? `\n   Also written as: ${variants.map(v => `"${v}"`).join(', ')}` : '';
+            return `${idx + 1}. "${p.phrase}" (detected ${p.count} times, score: ${p.score.toFixed(1)})${seenAs}`;
+        }).join('\n');
 
         return `You are a regex pattern expert for a prose quality extension. Your task is to create professional regex replacement rules for overused AI writing patterns.
 
@@ -102,12 +111,18 @@ For EACH phrase above, create a JSON rule object with:
 2. **replaceString**: A list of ${minAlternatives}+ creative alternatives in {{random:...}} format
    - MUST be exactly: \`{{random:alt1,alt2,alt3,...,alt${minAlternatives}}}\`
    - Use $1, $2 for capture group replacements
+   - A comma inside an alternative must be escaped with a backslash (\\, in the text, \\\\, inside the JSON string)
    - Each alternative must be grammatically correct
    - Vary sentence structure, word choice, intensity
    - Example: \`{{random:$1 pulse quickened,$1 chest tightened,$1 heart slammed against $1 ribs}}\`
 
 3. **scriptName**: Brief descriptive name (e.g., "Slopfix - Heart Racing")
 
+4. **scope**: Where the rule applies: "narration", "dialogue", or "all"
+   - Use "narration" for descriptive clichés a character could legitimately say out loud
+   - Use "dialogue" only for patterns that appear inside quoted speech
+   - Use "all" for names, words or tics that are wrong everywhere
+
 **Critical Requirements:**
 - At least ${minAlternatives} unique alternatives per rule
 - Alternatives separated by COMMAS (,) NOT pipes (|)
@@ -120,6 +135,7 @@ For EACH phrase above, create a JSON rule object with:
 [
   {
     "scriptName": "Slopfix - Heart Racing",
+    "scope": "narration",
     "findRegex": "\\\\b([Hh]is|[Hh]er|[Tt]heir)\\\\s+heart\\\\s+(raced|pounded|hammered)\\\\b",
     "replaceString": "{{random:$1 pulse quickened,$1 chest tightened with a
 
@@ -152,8 +168,11 @@ Generate the JSON array now:`;
 
     /**
      * Parse and validate AI-generated rules
+     * @param {String} response - Raw AI response
+     * @param {Number} minAlternatives - Minimum alternatives per rule
+     * @param {Array} phrases - Phrases the rules were generated from (become test examples)
      */
-    parseAndValidateRules(response, minAlternatives) {
+    parseAndValidateRules(response, minAlternatives, phrases = []) {
         const rules = [];
 
         try {
@@ -171,27 +190,35 @@ Generate the JSON array now:`;
                     continue;
                 }
 
-                // Validate regex compiles
-                try {
-                    new RegExp(rule.findRegex);
-                } catch (e) {
-                    console.warn(`${LOG_PREFIX} Invalid regex for "${rule.scriptName}": ${e.message}`);
+                // Lint: must compile, can't backtrack catastrophically, groups must exist
+                const findings = lintRule(rule);
+                if (hasLintErrors(findings)) {
+                    console.warn(`${LOG_PREFIX} Rejected "${rule.scriptName}":\n${formatLintFindings(findings)}`);
                     continue;
                 }
+                if (findings.length > 0) {
+                    console.warn(`${LOG_PREFIX} Lint warnings for "${rule.scriptName}":\n${formatLintFindings(findings)}`);
+                }
 
                 // Validate replaceString format and count alternatives
-                const match = rule.replaceString.match(/^{{random:(.+)}}$/);
-                if (!match) {
+                const template = parseTemplate(rule.replaceString);
+                if (template.blockCount === 0) {
                     console.warn(`${LOG_PREFIX} Invalid replaceString format for "${rule.scriptName}"`);
                     continue;
                 }
 
-                const alternatives = match[1].split(',').map(s => s.trim()).filter(s => s);
-                if (alternatives.length < minAlternatives) {
-                    console.warn(`${LOG_PREFIX} Insufficient alternatives for "${rule.scriptName}": ${alternatives.length}/${minAlternatives}`);
+                const alternatives = countAlternatives(template, this.settings.alternativePools);
+                if (alternatives < minAlternatives) {
+                    console.warn(`${LOG_PREFIX} Insufficient alternatives for "${rule.scriptName}": ${alternatives}/${minAlternatives}`);
                     continue;
                 }
 
+                rule.scope = this.normalizeScope(rule);
+                rule.examples = this.buildExamples(rule, phrases);
+                if (rule.examples.length === 0 && phrases.length > 0) {
+                    console.warn(`${LOG_PREFIX} "${rule.scriptName}" matches none of the phrases it was generated from`);
+                }
+
                 // Add metadata
                 rule.id = `AI_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
                 rule.disabled = false;
@@ -199,7 +226,7 @@ Generate the JSON array now:`;
                 rule.isAI = true; // Mark as AI-generated
 
                 rules.push(rule);
-                console.log(`${LOG_PREFIX} ✓ Validated rule: "${rule.scriptName}" (${alternatives.length} alternatives)`);
+                console.log(`${LOG_PREFIX} ✓ Validated rule: "${rule.scriptName}" (${alternatives} alternatives)`);
             }
 
         } catch (error) {
@@ -211,6 +238,65 @@ Generate the JSON array now:`;
         return rules;
     }
 
+    /**
+     * Build positive test examples from the phrases a rule should catch
+     * @param {Object} rule - Rule with findRegex (and optional flags)
+     * @param {Array} phrases - Candidate phrases
+     * @returns {Array} - Examples [{input, shouldMatch: true}] for phrases the rule matches (max 3)
+     */
+    buildExamples(rule, phrases) {
+        const compiled = StaticFixer.compileRule(rule);
+        if (!compiled) return [];
+
+        return phrases
+            .filter(phrase => typeof phrase === 'string' && phrase.trim())
+            .filter(phrase => StaticFixer.findMatches(phrase, [compiled]).length > 0)
+            .slice(0, 3)
+            .map(phrase => ({ input: phrase, shouldMatch: true }));
+    }
+
+    /**
+     * Re-run a rule's examples and warn about failures
+     * @param {Object} rule - Rule to test
+     * @returns {Boolean} - True if every example passed (or there are none)
+     */
+    checkRuleTests(rule) {
+        const report = StaticFixer.runRuleTests([rule]);
+        if (report.failed === 0) return true;
+
+        const first = report.failures[0];
+        console.warn(`${LOG_PREFIX} "${rule.scriptName}" fails ${report.failed}/${report.total} examples:`, report.failures);
+        this.showNotification(`"${rule.scriptName}" fails ${report.failed} example(s): ${first.reason}`, 'warning');
+        return false;
+    }
+
+    /**
+     * Throw if the linter finds errors in a rule
+     * @param {Object} rule - Rule to check
+     */
+    assertLintClean(rule) {
+        const errors = lintRule(rule).filter(finding => finding.level === 'error');
+        if (errors.length > 0) {
+            throw new Error(errors.map(finding => finding.message).join('; '));
+        }
+    }
+
+    /**
+     * Get a valid scope for a rule, defaulting to 'all'
+     * @param {Object} rule - Rule object
+     * @returns {String} - 'narration', 'dialogue', or 'all'
+     */
+    normalizeScope(rule) {
+        const scope = typeof rule.scope === 'string' ? rule.scope.toLowerCase().trim() : '';
+        if (!scope) return 'all';
+
+        if (!RULE_SCOPES.includes(scope)) {
+            console.warn(`${LOG_PREFIX} Unknown scope "${rule.scope}" for "${rule.scriptName}", using "all"`);
+            return 'all';
+        }
+        return scope;
+    }
+
     /**
      * Save generated rules to settings
      */
@@ -253,8 +339,10 @@ Generate the JSON array now:`;
                 throw new Error('Rule missing required fields');
             }
 
-            // Validate regex
-            new RegExp(rule.findRegex);
+            // Lint errors block the rule; warnings are shown in the editor
+            this.assertLintClean(rule);
+
+            rule.scope = this.normalizeScope(rule);
 
             // Add metadata
             rule.id = `MANUAL_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
@@ -268,6 +356,7 @@ Generate the JSON array now:`;
 
             this.settings.dynamicRules.push(rule);
             this.saveSettings();
+            this.checkRuleTests(rule);
 
             console.log(`${LOG_PREFIX} Manually added rule: "${rule.scriptName}"`);
             return true;
@@ -293,14 +382,19 @@ Generate the JSON array now:`;
                 throw new Error('Rule not found');
             }
 
-            // Validate regex if changed
-            if (updates.findRegex) {
-                new RegExp(updates.findRegex);
+            // Lint the rule as it will be after the edit
+            if (updates.findRegex !== undefined || updates.replaceString !== undefined || updates.flags !== undefined) {
+                this.assertLintClean({ ...rules[index], ...updates });
+            }
+
+            if (updates.scope !== undefined) {
+                updates.scope = this.normalizeScope(updates);
             }
 
             // Update fields
             Object.assign(rules[index], updates);
             this.saveSettings();
+            this.checkRuleTests(rules[index]);
 
             console.log(`${LOG_PREFIX} Edited rule: "${rules[index].scriptName}"`);
             return true;
@@ -334,15 +428,21 @@ Generate the JSON array now:`;
 
     /**
      * Export dynamic rules to JSON file
+     * @param {String} format - 'native' or 'st-regex' (SillyTavern Regex extension scripts)
      * @returns {String} JSON string
      */
-    exportRules() {
+    exportRules(format = 'native') {
         const rules = this.settings.dynamicRules || [];
         if (rules.length === 0) {
             this.showNotification('No dynamic rules to export', 'warning');
             return null;
         }
 
+        if (format === 'st-regex') {
+            console.log(`${LOG_PREFIX} Exported ${rules.length} dynamic rules as Regex extension scripts`);
+            return JSON.stringify(rules.map(toSTRegexScript), null, 2);
+        }
+
         const exportData = {
             version: '1.0',
             exported: new Date().toISOString(),
@@ -356,13 +456,20 @@ Generate the JSON array now:`;
 
     /**
      * Import dynamic rules from JSON
+     * Also accepts the legacy slop-patterns.json format and SillyTavern Regex
+     * extension scripts (one script or a list), which are converted first.
      * @param {String} json - JSON string
+     * @param {Array} staticRules - Built-in rules, so legacy patterns they cover are skipped (optional)
      * @returns {Number} Number of rules imported
      */
-    importRules(json) {
+    importRules(json, staticRules = []) {
         try {
             const data = JSON.parse(json);
-            const imported = data.rules || data; // Support both formats
+            let imported = data.rules || data; // Support both formats
+
+            if (isSTRegexScriptList(imported)) {
+                imported = (Array.isArray(imported) ? imported : [imported]).map(fromSTRegexScript);
+            }
 
             if (!Array.isArray(imported)) {
                 throw new Error('Invalid format: expected array of rules');
@@ -371,21 +478,34 @@ Generate the JSON array now:`;
             let validCount = 0;
             const existingRules = this.settings.dynamicRules || [];
 
+            if (isLegacyPatternList(imported)) {
+                const converted = convertLegacyPatterns(imported, [...staticRules, ...existingRules]);
+                converted.duplicates.forEach(({ name, existing }) => {
+                    console.warn(`${LOG_PREFIX} Skipping legacy pattern "${name}": already covered by "${existing}"`);
+                });
+                imported = converted.rules;
+            }
+
             for (const rule of imported) {
-                // Validate required fields
-                if (!rule.scriptName || !rule.findRegex || !rule.replaceString) {
+                // Validate required fields (an empty replaceString is a deletion script)
+                if (!rule.scriptName || !rule.findRegex || typeof rule.replaceString !== 'string') {
                     console.warn(`${LOG_PREFIX} Skipping invalid rule:`, rule);
                     continue;
                 }
 
                 // Validate regex
-                try {
-                    new RegExp(rule.findRegex);
-                } catch (e) {
+                const findings = lintRule(rule);
+                if (findings.some(finding => finding.code === 'invalid_regex')) {
                     console.warn(`${LOG_PREFIX} Skipping rule with invalid regex: "${rule.scriptName}"`);
                     continue;
                 }
 
+                // Other lint errors: keep the rule so it can be fixed, but don't activate it
+                if (hasLintErrors(findings)) {
+                    console.warn(`${LOG_PREFIX} Importing "${rule.scriptName}" disabled:\n${formatLintFindings(findings)}`);
+                    rule.disabled = true;
+                }
+
                 // Check for duplicates
                 const isDuplicate = existingRules.some(r =>
                     r.findRegex === rule.findRegex && r.replaceString === rule.replaceString
@@ -396,6 +516,8 @@ Generate the JSON array now:`;
                     continue;
                 }
 
+                rule.scope = this.normalizeScope(rule);
+
                 // Add metadata
                 rule.id = `IMP_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
                 rule.disabled = rule.disabled ?? false;
@@ -0,0 +1,200 @@
+/**
+ * Grammar Repair
+ * Used by Module A (Static Fixer)
+ *
+ * Cleans up the seams left by regex replacements: article agreement
+ * ("a adrenaline" -> "an adrenaline"), capitalization by sentence position,
+ * doubled whitespace and doubled punctuation. Only text that touches a
+ * replaced region is changed, so the rest of the message stays as written.
+ */
+
+import { MASK_TOKEN_SOURCE } from './text-tokenizer.js';
+
+// Words that are only capitalized because they started a sentence
+const LOWERABLE_WORDS = new Set([
+    'he', 'she', 'it', 'we', 'they', 'you', 'him', 'her', 'them', 'us', 'me',
+    'his', 'hers', 'its', 'our', 'their', 'your', 'my',
+    'the', 'a', 'an', 'this', 'that', 'these', 'those', 'some', 'each', 'every'
+]);
+
+// Characters that may sit between a sentence end and the next sentence's first word
+const SENTENCE_OPENERS = new Set([' ', '\t', '\r', '"', '\'', '“', '‘', '«', '„', '*', '_', '(', '[']);
+const SENTENCE_ENDERS = new Set(['.', '!', '?', '…']);
+
+const MASK_TOKEN_AT_END = new RegExp(`${MASK_TOKEN_SOURCE}$`);
+
+// Words where the spelling and the sound disagree
+const AN_BEFORE = /^(?:hour|honest|honou?r|heir)/i;
+const A_BEFORE = /^(?:uni|use|usu|uti|uto|eu|ewe|one|once|ur[aeiou])/i;
+
+/**
+ * Pick the article that agrees with the following word
+ * @param {String} word - Word after the article
+ * @returns {String} - 'a' or 'an'
+ */
+export function articleFor(word) {
+    if (AN_BEFORE.test(word)) return 'an';
+    if (A_BEFORE.test(word)) return 'a';
+    return /^[aeiou]/i.test(word) ? 'an' : 'a';
+}
+
+/**
+ * Check whether a position in the text starts a sentence
+ * Skips back over whitespace, opening quotes, emphasis markers and masked spans.
+ * @param {String} text - Full text
+ * @param {Number} index - Position of the word's first character
+ * @returns {Boolean} - True at the start of the text, a line, or after . ! ? …
+ */
+export function isSentenceStart(text, index) {
+    let i = index - 1;
+
+    while (i >= 0) {
+        const maskMatch = text.slice(Math.max(0, i - 2), i + 1).match(MASK_TOKEN_AT_END);
+        if (maskMatch) {
+            i -= maskMatch[0].length;
+            continue;
+        }
+
+        const ch = text[i];
+        if (ch === '\n') return true;
+        if (SENTENCE_ENDERS.has(ch)) return true;
+        if (!SENTENCE_OPENERS.has(ch)) return false;
+        i--;
+    }
+
+    return true;
+}
+
+/**
+ * Check whether [start, end) touches any edited range
+ * @param {Array} ranges - Sorted array of {start, end}
+ * @param {Number} start - Match start
+ * @param {Number} end - Match end
+ * @param {Boolean} overlap - Require a real overlap instead of touching
+ *                            (a deletion overlaps the word that now starts where it was)
+ * @returns {Boolean}
+ */
+function nearEdit(ranges, start, end, overlap = false) {
+    return ranges.some(range => overlap
+        ? start < Math.max(range.end, range.start + 1) && end > range.start
+        : start <= range.end && end >= range.start);
+}
+
+/**
+ * Rewrite regex matches that touch an edited range, keeping the ranges in sync
+ * @param {Object} state - {text, ranges}
+ * @param {RegExp} regex - Global regex
+ * @param {Function} replacer - (match, text) => replacement
+ * @param {Boolean} overlap - Only rewrite matches that overlap an edit
+ * @returns {Object} - New {text, ranges}
+ */
+function rewriteNearEdits(state, regex, replacer, overlap = false) {
+    const { text, ranges } = state;
+    const changes = [];
+    let output = '';
+    let cursor = 0;
+
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        if (match[0].length === 0) {
+            regex.lastIndex++;
+            continue;
+        }
+
+        const start = match.index;
+        const end = start + match[0].length;
+        if (!nearEdit(ranges, start, end, overlap)) continue;
+
+        const replacement = replacer(match, text);
+        if (replacement === match[0]) continue;
+
+        output += text.slice(cursor, start) + replacement;
+        cursor = end;
+        changes.push({ start, end, delta: replacement.length - match[0].length });
+    }
+
+    if (changes.length === 0) return state;
+
+    // Shift range boundaries by the length changes before them
+    const mapPosition = position => {
+        let shift = 0;
+        for (const change of changes) {
+            if (change.end <= position) {
+                shift += change.delta;
+            } else if (change.start < position) {
+                const newLength = change.end - change.start + change.delta;
+                return change.start + shift + Math.min(position - change.start, newLength);
+            } else {
+                break;
+            }
+        }
+        return position + shift;
+    };
+
+    return {
+        text: output + text.slice(cursor),
+        ranges: ranges.map(range => ({ start: mapPosition(range.start), end: mapPosition(range.end) }))
+    };
+}
+
+/**
+ * Repair grammar around replaced regions
+ * @param {String} text - Text after replacements
+ * @param {Array} ranges - Sorted array of {start, end} covering each replacement in `text`
+ * @returns {String} - Repaired text
+ */
+export function repairGrammar(text, ranges) {
+    return repairGrammarWithRanges(text, ranges).text;
+}
+
+/**
+ * Repair grammar around replaced regions and report where each region ended up
+ * @param {String} text - Text after replacements
+ * @param {Array} ranges - Sorted array of {start, end} covering each replacement in `text`
+ * @returns {Object} - {text, ranges} with one range per input range, in the repaired text
+ */
+export function repairGrammarWithRanges(text, ranges) {
+    if (!text || !ranges || ranges.length === 0) return { text, ranges: ranges || [] };
+
+    let state = { text, ranges };
+
+    // Whitespace: doubled spaces, space before punctuation, indentation left by a deletion
+    state = rewriteNearEdits(state, /[^\S\r\n]{2,}/g, () => ' ');
+    state = rewriteNearEdits(state, /[^\S\r\n]+(?=[,.;:!?](?!\.))/g, () => '');
+    state = rewriteNearEdits(state, /(^|\n)[^\S\r\n]+/g, match => match[1]);
+
+    // Punctuation: ",," / ", ." keep the last mark, ".." becomes "." (ellipses are left alone)
+    state = rewriteNearEdits(state, /[,;:][^\S\r\n]*(?=[,;:.!?])/g, () => '');
+    state = rewriteNearEdits(state, /(?<!\.)\.\.(?!\.)/g, () => '.');
+
+    // Article agreement. A capital "A" mid-sentence is more likely a name ("Vitamin A").
+    state = rewriteNearEdits(state, /\b(a|an)(\s+)([A-Za-z]+)/gi, (match, source) => {
+        const [whole, article, space, word] = match;
+        if (article === 'A' || article === 'An') {
+            if (!isSentenceStart(source, match.index)) return whole;
+        } else if (article !== 'a' && article !== 'an') {
+            return whole;
+        }
+
+        const wanted = articleFor(word);
+        const fixed = article[0] === 'A' ? wanted[0].toUpperCase() + wanted.slice(1) : wanted;
+        return fixed + space + word;
+    });
+
+    // Capitalization by position: sentence starts upper, pronouns/determiners mid-sentence lower
+    state = rewriteNearEdits(state, /[A-Za-z][A-Za-z']*/g, (match, source) => {
+        const word = match[0];
+        if (isSentenceStart(source, match.index)) {
+            return word[0].toUpperCase() + word.slice(1);
+        }
+
+        const lower = word.toLowerCase();
+        if (LOWERABLE_WORDS.has(lower) && word === word[0] + lower.slice(1)) {
+            return lower;
+        }
+        return word;
+    }, true);
+
+    return state;
+}
@@ -4,17 +4,29 @@
  */
 
 import { eventSource, event_types, saveSettingsDebounced, saveChatConditional, generateQuietPrompt, messageFormatting, setExtensionPrompt, extension_prompt_types, extension_prompt_roles, updateMessageBlock } from '../../../../script.js';
-import { extension_settings, getContext } from '../../../extensions.js';
+import { extension_settings, getContext, saveMetadataDebounced } from '../../../extensions.js';
 import { ConnectionManagerRequestService } from '../../shared.js';
 
 // CRITICAL: Import optimized modules (Prose Polisher logic)
 import StaticFixer from './static-fixer.js';
 import PassiveWatcher from './passive-watcher.js';
+import PassiveWatcherClient from './passive-watcher-client.js';
+import UserProfile, { detectParroting } from './user-profile.js';
 import ProactiveInjector from './proactive-injector.js';
 import { AIRegexGenerator } from './ai-regex-generator.js';
+import { RulePackManager } from './rule-packs.js';
+import { SlopCorpus } from './slop-corpus.js';
+import { buildStoryTerms } from './phrase-weights.js';
+import { DEFAULT_PROTECTED_SPANS } from './text-tokenizer.js';
+import { countAlternatives } from './replacement-template.js';
+import { LINKED_SCRIPT_FIELD, fromSTRegexScript, isSTRegexScript, setScriptLinked, toSTRegexScript } from './st-regex-format.js';
+import { formatLintFindings, hasLintErrors, lintRule } from './rule-linter.js';
+import { createOverrides, hasOverrides, normalizeOverrides, resolveBlockedPhrases, resolveConstraints } from './rule-overrides.js';
+import { DEFAULT_METRIC_THRESHOLDS, PROSE_METRICS, averageMetrics, checkMetricThresholds, computeMetrics, formatMetricValue } from './prose-metrics.js';
 
 const EXTENSION_NAME = 'Prose-Guardian';
 const LOG_PREFIX = `[${EXTENSION_NAME}]`;
+const OVERRIDES_FIELD = 'prose_guardian'; // Key in character data.extensions
 
 // Default settings
 const defaultSettings = {
@@ -37,6 +49,10 @@ const defaultSettings = {
     minDialogues: 0,
     maxDialogues: 999,
 
+    // Prose metrics (prose-metrics.js): thresholds past which Quality Mode rewrites (0 = off)
+    proseMetricViolations: false,
+    proseMetricThresholds: { ...DEFAULT_METRIC_THRESHOLDS },
+
     // User Protection
     protectUser: true,
     userNames: ['{{user}}'],
@@ -83,8 +99,40 @@ Keep your writing fresh, varied, and human.`,
     enableAutoGeneration: false, // Auto-generate after threshold
     autoGenerationThreshold: 10, // How many detected phrases trigger auto-gen
 
+    // Rule packs: packId -> installed pack {id, name, version, author, enabled, rules, ...}
+    installedPacks: {},
+
+    // Module A (Static Fixer) grammar repair: fix a/an, case and spacing around replacements
+    grammarRepairEnabled: true,
+    loadLegacyPatterns: false, // Also load the old slop-patterns.json as built-in rules
+    linkSTRegexScripts: false, // Apply SillyTavern's global Regex extension scripts as rules
+
+    // Module A (Static Fixer) protected spans: regions rules never rewrite
+    protectedSpanTypes: DEFAULT_PROTECTED_SPANS.map(span => span.id),
+    customProtectedPatterns: [], // Extra regex sources, one per entry
+
+    // Module A (Static Fixer) shared pools for {{pick:name}}: name -> [alternatives]
+    alternativePools: {},
+    noRepeatAlternatives: true, // Avoid reusing an alternative until all have been used (per chat)
+    randomSeed: '', // Fixed seed for alternative selection ('' = Math.random)
+
+    // Module A (Static Fixer) rule usage: ruleId -> {hits, lastHit, charsReplaced}
+    ruleStats: {},
+
+    // Module A (Static Fixer) priority overrides: ruleId -> priority (higher runs first)
+    rulePriorities: {},
+
     // Module B (Passive Watcher) Settings
     moduleBAnalysisWindow: 20, // Number of messages to analyze
+    referenceScoring: true, // Score n-grams against reference-frequencies.json and the story's own card/lorebook text
+    fuzzyGrouping: true, // Count "her/his/Elara's breath hitched" as one phrase template
+    userProfileEnabled: false, // Also learn the user's phrasing: parroting violations, no bans on the user's own phrases
+
+    // Global slop corpus: phrases Module B flags in any chat, per model, with decay
+    globalCorpusEnabled: true,
+    globalCorpusHalfLifeDays: 30, // Scores halve after this many days without a sighting
+    globalCorpusInjectCount: 5, // Global phrases added to Module C's list
+    globalCorpus: {},
 
     // UI/UX Settings
     autoMode: true,  // Auto-apply changes without user approval
@@ -112,7 +160,9 @@ let currentDiagnostic = {
     tokenCount: 0,
     debugLogs: [],
     timestamp: null,
-    modesUsed: []
+    modesUsed: [],
+    patterns: [], // Structural patterns found in the message (names)
+    metrics: null // Prose metrics of the final text (prose-metrics.js)
 };
 
 // Initialize Module D (AI Regex Generator)
@@ -126,6 +176,57 @@ function initializeAIGenerator() {
     return AIGenerator;
 }
 
+// Rule pack manager (installed packs live in settings.installedPacks)
+let PackManager = null;
+
+function initializePackManager() {
+    if (!PackManager) {
+        PackManager = new RulePackManager(settings, saveSettings, showNotification);
+        console.log(`${LOG_PREFIX} Rule pack manager initialized`);
+    }
+    return PackManager;
+}
+
+// Global slop corpus (phrases live in settings.globalCorpus)
+let GlobalCorpus = null;
+
+function initializeSlopCorpus() {
+    if (!GlobalCorpus) {
+        GlobalCorpus = new SlopCorpus(settings, saveSettings, showNotification);
+        console.log(`${LOG_PREFIX} Global slop corpus initialized`);
+    }
+    return GlobalCorpus;
+}
+
+// Helper to identify the model / connection profile behind a message (or the next generation)
+function getGenerationSource(message = null) {
+    const context = getContext();
+    const model = message?.extra?.model || context.getChatCompletionModel?.() || context.onlineStatus;
+
+    const connectionManager = extension_settings.connectionManager;
+    const profile = connectionManager?.profiles?.find(p => p.id === connectionManager.selectedProfile);
+
+    return {
+        model: model && model !== 'no_connection' ? model : null,
+        profile: profile?.name || null
+    };
+}
+
+// Helper to combine this chat's overused phrases with the global corpus (no duplicates)
+function getDetectedPhrases(globalLimit = 20) {
+    const detected = PassiveWatcher.getOverusedPhrases();
+    if (!settings.globalCorpusEnabled || globalLimit <= 0) return detected;
+
+    // Compare templates so another wording of a phrase this chat already flags isn't added twice
+    const seen = new Set(detected.map(item => item.template || PassiveWatcher.toTemplate(item.phrase)));
+    const global = initializeSlopCorpus()
+        .getTopPhrases({ limit: globalLimit + seen.size, model: getGenerationSource().model })
+        .filter(item => !seen.has(PassiveWatcher.toTemplate(item.phrase)))
+        .slice(0, globalLimit);
+
+    return [...detected, ...global];
+}
+
 function addDebugLog(message) {
     if (!settings.debugMode) return;
     const timestamp = new Date().toLocaleTimeString();
@@ -150,7 +251,9 @@ function saveDiagnosticToHistory() {
         tokenCount: 0,
         debugLogs: [],
         timestamp: null,
-        modesUsed: []
+        modesUsed: [],
+        patterns: [],
+        metrics: null
     };
 }
 
@@ -170,6 +273,21 @@ function getAIMessage(messageId) {
     return (message && !message.is_user && !message.is_system) ? message : null;
 }
 
+/**
+ * Get the text of the user message an AI message replies to
+ * @param {number} messageId - AI message ID
+ * @returns {string|null} - Text of the closest earlier user message, or null
+ */
+function getPrecedingUserText(messageId) {
+    const chat = getContext()?.chat || [];
+    for (let id = Number(messageId) - 1; id >= 0; id--) {
+        const message = chat[id];
+        if (message?.is_system) continue;
+        if (message?.is_user) return message.mes || null;
+    }
+    return null;
+}
+
 /**
  * Get message DOM element with caching
  * @param {number} messageId - Message ID
@@ -384,54 +502,59 @@ function renderDiffLines(diff) {
 }
 
 // QUALITY MODE - Detect violations
-function detectViolations(text) {
+/**
+ * @param {String} text - Message text
+ * @param {Object} constraints - Effective constraints (see resolveOverrides)
+ * @param {String} userText - Preceding user message, for the parroting check (optional)
+ */
+function detectViolations(text, constraints = resolveConstraints(settings), userText = null) {
     const violations = [];
 
     // Word count
     const words = text.trim().split(/\s+/).filter(w => w);
     const wordCount = words.length;
-    if (wordCount < settings.minWords) {
+    if (wordCount < constraints.minWords) {
         violations.push({
             type: 'word_count',
-            description: `Too short (${wordCount} words, minimum ${settings.minWords})`
+            description: `Too short (${wordCount} words, minimum ${constraints.minWords})`
         });
     }
-    if (wordCount > settings.maxWords) {
+    if (wordCount > constraints.maxWords) {
         violations.push({
             type: 'word_count',
-            description: `Too long (${wordCount} words, maximum ${settings.maxWords})`
+            description: `Too long (${wordCount} words, maximum ${constraints.maxWords})`
         });
     }
 
     // Paragraphs
     const paragraphs = text.split(/\n\s*\n/).filter(p => p.trim());
     const paraCount = paragraphs.length;
-    if (paraCount < settings.minParagraphs) {
+    if (paraCount < constraints.minParagraphs) {
         violations.push({
             type: 'paragraphs',
-            description: `Too few paragraphs (${paraCount}, minimum ${settings.minParagraphs})`
+            description: `Too few paragraphs (${paraCount}, minimum ${constraints.minParagraphs})`
         });
     }
-    if (paraCount > settings.maxParagraphs) {
+    if (paraCount > constraints.maxParagraphs) {
         violations.push({
             type: 'paragraphs',
-            description: `Too many paragraphs (${paraCount}, maximum ${settings.maxParagraphs})`
+            description: `Too many paragraphs (${paraCount}, maximum ${constraints.maxParagraphs})`
         });
     }
 
     // Dialogues
     const dialogues = text.match(/"[^"]+"/g) || [];
     const dialogueCount = dialogues.length;
-    if (dialogueCount < settings.minDialogues) {
+    if (dialogueCount < constraints.minDialogues) {
         violations.push({
             type: 'dialogues',
-            description: `Too few dialogue lines (${dialogueCount}, minimum ${settings.minDialogues})`
+            description: `Too few dialogue lines (${dialogueCount}, minimum ${constraints.minDialogues})`
         });
     }
-    if (settings.maxDialogues < 999 && dialogueCount > settings.maxDialogues) {
+    if (constraints.maxDialogues < 999 && dialogueCount > constraints.maxDialogues) {
         violations.push({
             type: 'dialogues',
-            description: `Too many dialogue lines (${dialogueCount}, maximum ${settings.maxDialogues})`
+            description: `Too many dialogue lines (${dialogueCount}, maximum ${constraints.maxDialogues})`
         });
     }
 
@@ -446,10 +569,32 @@ function detectViolations(text) {
 
     // Perspective check
     const detectedPerspective = detectPerspective(text);
-    if (detectedPerspective && detectedPerspective !== settings.perspective) {
+    if (detectedPerspective && detectedPerspective !== constraints.perspective) {
         violations.push({
             type: 'perspective',
-            description: `Wrong perspective (detected: ${detectedPerspective}, expected: ${settings.perspective})`
+            description: `Wrong perspective (detected: ${detectedPerspective}, expected: ${constraints.perspective})`
+        });
+    }
+
+    // Parroting: echoing the user's last message back
+    if (settings.userProfileEnabled && userText) {
+        const parrot = detectParroting(text, userText);
+        if (parrot) {
+            violations.push({
+                type: 'parroting',
+                description: `Echoes the user's last message (${parrot.longestRun} words in a row, ${Math.round(parrot.overlap * 100)}% repeated): "${parrot.excerpt}"`
+            });
+        }
+    }
+
+    // Style drift (adverbs, filter words, passive voice, ...)
+    if (settings.proseMetricViolations) {
+        checkMetricThresholds(computeMetrics(text), settings.proseMetricThresholds).forEach(result => {
+            violations.push({
+                type: 'prose_metrics',
+                description: result.description,
+                fix: result.fix
+            });
         });
     }
 
@@ -534,14 +679,15 @@ function detectPerspective(text) {
 }
 
 // QUALITY MODE - AI Rewrite
-async function aiRewrite(text, violations) {
+async function aiRewrite(text, violations, overrides = resolveOverrides()) {
+    const { constraints, blockedPhrases } = overrides;
     const violationsList = violations.map(v => `- ${v.type}: ${v.description}`).join('\\n');
 
     const perspectiveName = {
         '1st': 'first',
         '2nd': 'second',
         '3rd': 'third'
-    }[settings.perspective] || 'third';
+    }[constraints.perspective] || 'third';
 
     // Generate specific, high-priority instructions for each violation
     const criticalFixes = [];
@@ -553,20 +699,20 @@ async function aiRewrite(text, violations) {
 
     // 2. Formatting/Structure Fixes
     if (violations.some(v => v.type === 'paragraphs')) {
-        criticalFixes.push(`CRITICAL: MERGE text into maximum ${settings.maxParagraphs} paragraphs. Current is too long.`);
+        criticalFixes.push(`CRITICAL: MERGE text into maximum ${constraints.maxParagraphs} paragraphs. Current is too long.`);
     }
 
     if (violations.some(v => v.type === 'dialogues')) {
-        criticalFixes.push(`CRITICAL: ADD DIALOGUE. Ensure at least ${settings.minDialogues} lines of spoken text. Characters must speak.`);
+        criticalFixes.push(`CRITICAL: ADD DIALOGUE. Ensure at least ${constraints.minDialogues} lines of spoken text. Characters must speak.`);
     }
 
     // 3. Length Fixes
     if (violations.some(v => v.type === 'word_count')) {
         const textWords = text.trim().split(/\s+/).length;
-        if (textWords < settings.minWords) {
-            criticalFixes.push(`CRITICAL: EXPAND the scene. Add sensory details and internal monologue to reach at least ${settings.minWords} words.`);
-        } else if (textWords > settings.maxWords) {
-            criticalFixes.push(`CRITICAL: CONDENSE the scene. Cut fluff to get under ${settings.maxWords} words.`);
+        if (textWords < constraints.minWords) {
+            criticalFixes.push(`CRITICAL: EXPAND the scene. Add sensory details and internal monologue to reach at least ${constraints.minWords} words.`);
+        } else if (textWords > constraints.maxWords) {
+            criticalFixes.push(`CRITICAL: CONDENSE the scene. Cut fluff to get under ${constraints.maxWords} words.`);
         }
     }
 
@@ -585,11 +731,20 @@ async function aiRewrite(text, violations) {
         criticalFixes.push(`CRITICAL: Do NOT describe thoughts, feelings, or actions for: ${protectedNames.join(', ')}. Focus ONLY on the other character(s).`);
     }
 
+    if (violations.some(v => v.type === 'parroting')) {
+        criticalFixes.push(`CRITICAL: Do NOT repeat or closely paraphrase ${userName}'s last message. React to it and move the scene forward.`);
+    }
+
+    // 5. Prose Style
+    violations.filter(v => v.type === 'prose_metrics').forEach(v => {
+        criticalFixes.push(`STYLE: ${v.fix}`);
+    });
+
     const criticalSection = criticalFixes.length > 0
         ? `\nCRITICAL FIXES (MANDATORY):\n${criticalFixes.map(f => `- ${f}`).join('\n')}\n`
         : '';
 
-    // 5. Formatting Enhancements
+    // 6. Formatting Enhancements
     let formattingInstructions = "";
 
     if (settings.separateDialogue) {
@@ -610,10 +765,10 @@ When weaving strong mood, emotion, or psychological states, **enhance the text v
 `;
     }
 
-    // 6. Custom Blocked Phrases
+    // 7. Custom Blocked Phrases
     let blockedPhrasesSection = '';
-    if (settings.customBlockedPhrases && settings.customBlockedPhrases.length > 0) {
-        const phrasesList = settings.customBlockedPhrases
+    if (blockedPhrases.length > 0) {
+        const phrasesList = blockedPhrases
             .map(p => `"${p.phrase}"`)
             .join(', ');
         blockedPhrasesSection = `\n\n**BLOCKED PHRASES (MUST AVOID):**\nDo NOT use these exact words or phrases: ${phrasesList}\nFind alternative expressions or omit entirely.`;
@@ -645,8 +800,8 @@ TASK:
 Output ONLY the final rewritten story text. Do not provide analysis, <thinking> tags, or introductory remarks.`;
 
     // Debug log blocked phrases if enabled
-    if (settings.customBlockedPhrases && settings.customBlockedPhrases.length > 0) {
-        addDebugLog(`Quality Mode: Blocking ${settings.customBlockedPhrases.length} custom phrase(s): ${settings.customBlockedPhrases.map(p => p.phrase).join(', ')}`);
+    if (blockedPhrases.length > 0) {
+        addDebugLog(`Quality Mode: Blocking ${blockedPhrases.length} custom phrase(s): ${blockedPhrases.map(p => p.phrase).join(', ')}`);
     }
 
     try {
@@ -783,6 +938,7 @@ async function processMessage(messageId) {
     // FIX #2: Prevent infinite render loop with session flag
     if (message.flags && message.flags.includes('slop_fixed')) {
         console.log(`${LOG_PREFIX} Message ${messageId} already processed, skipping`);
+        syncWatcherMessage(messageId); // A new swipe of a processed message still counts for Module B
         return;
     }
 
@@ -799,7 +955,9 @@ async function processMessage(messageId) {
         tokenCount: 0,
         debugLogs: [],
         timestamp: new Date(),
-        modesUsed: []
+        modesUsed: [],
+        patterns: [],
+        metrics: null
     };
 
     addDebugLog('Starting message processing');
@@ -807,23 +965,55 @@ async function processMessage(messageId) {
 
     let currentText = message.mes;
     let wasModified = false;
+    let staticResult = null;
+    let staticChanges = [];
+
+    // Per-character / per-chat overrides on top of the global settings
+    const overrides = resolveOverrides(message);
+    if (overrides.active) {
+        addDebugLog(`Overrides active: ${overrides.sources.join(' + ')}`);
+    }
 
     // FIX #1: Use optimized Static Fixer (Module A) instead of slow regex logic
     if (settings.fastModeEnabled) {
         addDebugLog('Fast Mode: Using optimized Static Fixer (Module A)');
-        const staticResult = StaticFixer.process(currentText);
-        if (staticResult !== currentText) {
-            currentText = staticResult;
+        syncLinkedRegexScripts(); // Pick up edits made in the Regex extension
+        staticResult = StaticFixer.processWithChanges(currentText, { overrides: overrides.layers });
+        if (staticResult.text !== currentText) {
+            currentText = staticResult.text;
+            staticChanges = staticResult.changes;
             wasModified = true;
             currentDiagnostic.modesUsed.push('Fast Mode (Static Fixer)');
-            addDebugLog('Fast Mode: Applied static fixes (< 5ms)');
+            addDebugLog(`Fast Mode: Applied ${staticChanges.length} static fixes (< 5ms)`);
+            staticChanges.forEach(change => {
+                addDebugLog(`  ${change.ruleId}: "${change.matched}" → "${change.output}"`);
+            });
         } else {
             addDebugLog('Fast Mode: No patterns matched');
         }
 
         // Also analyze in background with Passive Watcher (Module B)
-        PassiveWatcher.analyzeMessage(currentText);
+        PassiveWatcherClient.analyzeMessage(currentText, { messageId: Number(messageId), swipeId: message.swipe_id ?? 0 });
+        saveWatcherState();
         addDebugLog('Passive Watcher: Background analysis started');
+
+        const patterns = PassiveWatcher.findPatternsIn(currentText);
+        currentDiagnostic.patterns = patterns.map(pattern => pattern.name);
+        patterns.forEach(pattern => {
+            addDebugLog(`  Pattern: ${pattern.name} - "${pattern.example}"`);
+        });
+        renderPatternList();
+
+        // Phrases this chat already flags feed the cross-chat corpus, tagged with the model
+        if (settings.globalCorpusEnabled) {
+            const flagged = PassiveWatcher.findPhrasesIn(currentText, PassiveWatcher.getOverusedPhrases());
+            if (flagged.length > 0) {
+                const source = getGenerationSource(message);
+                initializeSlopCorpus().recordPhrases(flagged, source);
+                addDebugLog(`Global corpus: Recorded ${flagged.length} phrase(s) for ${source.model || 'unknown model'}`);
+                renderGlobalCorpusList();
+            }
+        }
     }
 
     // QUALITY MODE
@@ -834,7 +1024,7 @@ async function processMessage(messageId) {
 
     if (shouldRunQuality) {
         addDebugLog(`Quality Mode: Triggered(message ${messageCount}, interval ${settings.qualityModeInterval})`);
-        const violations = detectViolations(currentText);
+        const violations = detectViolations(currentText, overrides.constraints, getPrecedingUserText(messageId));
 
         if (violations.length > 0) {
             addDebugLog(`Quality Mode: Found ${violations.length} violations`);
@@ -851,7 +1041,7 @@ async function processMessage(messageId) {
             const rewriteStartTime = performance.now();
 
             const beforeRewrite = currentText;
-            currentText = await aiRewrite(currentText, violations);
+            currentText = await aiRewrite(currentText, violations, overrides);
             wasModified = true;
             currentDiagnostic.modesUsed.push('Quality Mode');
 
@@ -871,6 +1061,10 @@ async function processMessage(messageId) {
 
     // Update diagnostic state with final result
     currentDiagnostic.rewrittenText = currentText;
+    currentDiagnostic.metrics = computeMetrics(currentText);
+    checkMetricThresholds(currentDiagnostic.metrics, settings.proseMetricThresholds).forEach(result => {
+        addDebugLog(`Prose metrics: ${result.description}`);
+    });
 
     // If something changed, either show diff or auto-apply
     if (wasModified) {
@@ -885,6 +1079,7 @@ async function processMessage(messageId) {
             if (!accepted) {
                 addDebugLog('User rejected changes');
                 showNotification('Changes rejected', 'info');
+                syncWatcherMessage(messageId); // Module B counted the fixed text; the original stays
                 return;
             }
 
@@ -896,6 +1091,7 @@ async function processMessage(messageId) {
             const context = getContext();
             const message = context.chat[messageId];
             message.mes = currentText;
+            StaticFixer.commit(staticResult); // Rule Stats only count fixes that were kept
 
             // Store rewrite duration in message metadata (if Quality Mode was used)
             if (typeof rewriteDuration !== 'undefined') {
@@ -903,7 +1099,19 @@ async function processMessage(messageId) {
                 message.extra.prose_guardian_time = rewriteDuration;
             }
 
+            // Keep Fast Mode's change list for the Explain view
+            if (staticChanges.length > 0) {
+                if (!message.extra) message.extra = {};
+                message.extra.asf_changes = {
+                    timestamp: new Date().toISOString(),
+                    original: currentDiagnostic.originalText,
+                    rewrittenAfter: currentDiagnostic.modesUsed.includes('Quality Mode'),
+                    changes: staticChanges
+                };
+            }
+
             await saveChatConditional();
+            syncWatcherMessage(messageId); // Quality Mode may have changed what Module B counted
 
             // Mark as processed to prevent re-processing (FIX #2)
             if (!message.flags) message.flags = [];
@@ -911,6 +1119,7 @@ async function processMessage(messageId) {
 
             // Update the visual display using native SillyTavern function
             updateMessageBlock(parseInt(messageId), message);
+            addExplainButtonToElement(getMessageElement(messageId), parseInt(messageId));
 
             // Add visual time badge if rewrite duration exists
             if (typeof rewriteDuration !== 'undefined') {
@@ -1006,6 +1215,7 @@ function addRefinementButtons() {
         if (messageId) {
             addRefinementButtonToElement($(this), parseInt(messageId));
             addGuidedSwipeButtonToElement($(this), parseInt(messageId));
+            addExplainButtonToElement($(this), parseInt(messageId));
         }
     });
 }
@@ -1025,6 +1235,7 @@ async function addRefinementButtonToMessage(messageId) {
     if ($messageElement.length) {
         addRefinementButtonToElement($messageElement, messageId);
         addGuidedSwipeButtonToElement($messageElement, messageId);
+        addExplainButtonToElement($messageElement, messageId);
     }
 }
 
@@ -1082,6 +1293,126 @@ function addRefinementButtonToElement($messageElement, messageId) {
     }
 }
 
+/**
+ * Add "Explain" button to a message element (only for messages Fast Mode changed)
+ * @param {jQuery} $messageElement - The message element
+ * @param {number} messageId - The message ID
+ */
+function addExplainButtonToElement($messageElement, messageId) {
+    const message = getAIMessage(messageId);
+    if (!message?.extra?.asf_changes || $messageElement.find('.asf-explain-button').length > 0) {
+        return;
+    }
+
+    const $button = $(`
+        <div class="mes_button asf-explain-button" title="Explain which rules changed this message">
+            <i class="fa-solid fa-magnifying-glass"></i>
+        </div>
+        `);
+
+    $button.on('click', function (e) {
+        e.stopPropagation();
+        showExplainPopup(messageId);
+    });
+
+    $messageElement.find('.mes_buttons').append($button);
+}
+
+/**
+ * Show the message with each Fast Mode replacement highlighted and linked to its rule
+ * @param {number} messageId - The message ID
+ */
+function showExplainPopup(messageId) {
+    const message = getAIMessage(messageId);
+    const record = message?.extra?.asf_changes;
+    if (!record) {
+        showNotification('No Fast Mode changes recorded for this message', 'info');
+        return;
+    }
+
+    // Offsets only hold while the message text is what Fast Mode produced
+    const text = message.mes;
+    const located = record.changes.map(change => !record.rewrittenAfter &&
+        text.slice(change.outputStart, change.outputEnd) === change.output);
+
+    let highlighted = '';
+    let cursor = 0;
+    record.changes.forEach((change, index) => {
+        if (!located[index] || change.outputStart < cursor) return;
+        highlighted += escapeHtml(text.slice(cursor, change.outputStart));
+        highlighted += `<mark class="asf-explain-mark" data-index="${index}" title="${escapeHtml(change.scriptName)}">${escapeHtml(change.output) || '∅'}</mark>`;
+        cursor = change.outputEnd;
+    });
+    highlighted += escapeHtml(text.slice(cursor));
+
+    const changeItems = record.changes.map((change, index) => {
+        const captures = (change.captures || [])
+            .map((value, i) => value === null ? '' : `<span>$${i + 1} = "${escapeHtml(value)}"</span>`)
+            .join('');
+        const alternatives = (change.alternatives || [])
+            .map(choice => `<span>${choice.pool ? `pool ${escapeHtml(choice.pool)}` : `block ${choice.block + 1}`}: #${choice.index + 1}</span>`)
+            .join('');
+
+        return `
+            <div class="asf-rule-item asf-explain-change" data-index="${index}">
+                <div class="asf-rule-header">
+                    <a href="#" class="asf-explain-rule" data-id="${escapeHtml(change.ruleId)}">${escapeHtml(change.scriptName)}</a>
+                    <small>${escapeHtml(change.ruleId)}${located[index] ? '' : ' · not found in current text'}</small>
+                </div>
+                <div><del>${escapeHtml(change.matched)}</del> → <ins>${escapeHtml(change.output ?? change.replacement) || '<i>(deleted)</i>'}</ins></div>
+                <div class="asf-rule-stats">
+                    <span>Original chars ${change.start}–${change.end}</span>
+                    ${captures}
+                    ${alternatives}
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    const note = record.rewrittenAfter
+        ? 'Quality Mode rewrote this message after Fast Mode, so spans are listed but not highlighted.'
+        : located.every(Boolean) ? '' : 'The message was edited after Fast Mode ran; some spans could not be located.';
+
+    const $backdrop = $(`
+        <div class="asf-explain-backdrop">
+            <div class="asf-explain-modal">
+                <div class="asf-explain-header">
+                    <h3>Explain: ${record.changes.length} replacement${record.changes.length === 1 ? '' : 's'}</h3>
+                    <button class="asf-explain-close">&times;</button>
+                </div>
+                ${note ? `<div class="asf-info"><small>${escapeHtml(note)}</small></div>` : ''}
+                <div class="asf-explain-text">${highlighted}</div>
+                <div class="asf-explain-changes">${changeItems}</div>
+            </div>
+        </div>
+    `);
+    $('body').append($backdrop);
+
+    const close = () => $backdrop.remove();
+    $backdrop.find('.asf-explain-close').on('click', close);
+    $backdrop.on('click', function (e) {
+        if (e.target === this) close();
+    });
+
+    // Marks and list entries point at each other
+    $backdrop.find('.asf-explain-mark').on('click', function () {
+        const $change = $backdrop.find(`.asf-explain-change[data-index="${$(this).data('index')}"]`);
+        $backdrop.find('.asf-explain-change').removeClass('asf-explain-active');
+        $change.addClass('asf-explain-active')[0]?.scrollIntoView({ block: 'nearest' });
+    });
+    $backdrop.find('.asf-explain-change').on('mouseenter mouseleave', function (e) {
+        $backdrop.find(`.asf-explain-mark[data-index="${$(this).data('index')}"]`)
+            .toggleClass('asf-explain-active', e.type === 'mouseenter');
+    });
+
+    $backdrop.find('.asf-explain-rule').on('click', async function (e) {
+        e.preventDefault();
+        const ruleId = String($(this).data('id'));
+        close();
+        await focusRuleInManager(ruleId);
+    });
+}
+
 /**
  * Add Guided Swipe button to a message element (custom instruction regeneration)
  * @param {jQuery} $messageElement - The message element
@@ -1312,6 +1643,10 @@ function updateDiagnosticsPanel() {
     $('#asf_token_count').text(latest.tokenCount > 0
         ? `~${latest.tokenCount} tokens`
         : 'N/A');
+    $('#asf_diagnostic_patterns').text(latest.patterns?.length > 0
+        ? latest.patterns.join(', ')
+        : 'None');
+    renderProseMetricsPanel();
 
     // Update debug log
     if (settings.debugMode && latest.debugLogs.length > 0) {
@@ -1345,6 +1680,87 @@ function bindSettingsHandlers() {
     $('#asf_fast_mode').on('change', function () {
         settings.fastModeEnabled = $(this).prop('checked');
         saveSettings();
+        syncLinkedRegexScripts(true); // Linked scripts go back to SillyTavern while Fast Mode is off
+    });
+
+    $('#asf_load_legacy_patterns').on('change', async function () {
+        settings.loadLegacyPatterns = $(this).prop('checked');
+        saveSettings();
+        await reloadModuleA();
+    });
+
+    $('#asf_grammar_repair').on('change', function () {
+        settings.grammarRepairEnabled = $(this).prop('checked');
+        StaticFixer.grammarRepair = settings.grammarRepairEnabled;
+        saveSettings();
+    });
+
+    // Protected spans (Module A)
+    $('.asf-protected-span').on('change', function () {
+        settings.protectedSpanTypes = $('.asf-protected-span:checked').map(function () {
+            return $(this).data('span');
+        }).get();
+        applyProtectedSpans();
+        saveSettings();
+    });
+
+    $('#asf_custom_protected_patterns').on('change', function () {
+        const patterns = $(this).val().split(/\r?\n/).map(p => p.trim()).filter(p => p);
+
+        // Reject patterns that don't compile instead of silently dropping them later
+        const invalid = patterns.filter(pattern => {
+            try {
+                new RegExp(pattern);
+                return false;
+            } catch (e) {
+                return true;
+            }
+        });
+        if (invalid.length > 0) {
+            showNotification(`Invalid protected pattern: ${invalid[0]}`, 'error');
+            return;
+        }
+
+        settings.customProtectedPatterns = patterns;
+        applyProtectedSpans();
+        saveSettings();
+    });
+
+    $('#asf_alternative_pools').on('change', function () {
+        const raw = $(this).val().trim();
+        let pools = {};
+
+        if (raw) {
+            try {
+                pools = JSON.parse(raw);
+            } catch (e) {
+                showNotification(`Invalid pools JSON: ${e.message}`, 'error');
+                return;
+            }
+
+            const valid = pools && typeof pools === 'object' && !Array.isArray(pools) &&
+                Object.values(pools).every(pool => Array.isArray(pool) && pool.every(alt => typeof alt === 'string'));
+            if (!valid) {
+                showNotification('Pools must be an object of name -> array of strings', 'error');
+                return;
+            }
+        }
+
+        settings.alternativePools = pools;
+        StaticFixer.setPools(pools);
+        saveSettings();
+    });
+
+    $('#asf_no_repeat_alternatives').on('change', function () {
+        settings.noRepeatAlternatives = $(this).prop('checked');
+        bindChoiceMemory();
+        saveSettings();
+    });
+
+    $('#asf_random_seed').on('change', function () {
+        settings.randomSeed = $(this).val().trim();
+        StaticFixer.setSeed(settings.randomSeed);
+        saveSettings();
     });
 
     $('#asf_quality_mode').on('change', function () {
@@ -1440,6 +1856,7 @@ function bindSettingsHandlers() {
             $('#asf_original_text').val(diag.originalText);
             $('#asf_rewritten_text').val(diag.rewrittenText || diag.originalText);
             $('#asf_token_count').text(diag.tokenUsage ? `${diag.tokenUsage} tokens` : 'N/A');
+            $('#asf_diagnostic_patterns').text(diag.patterns?.length > 0 ? diag.patterns.join(', ') : 'None');
             $('#asf_debug_log').val(diag.debugLogs.join('\n'));
         } else {
             $('#asf_debug_log').val(settings.debugMode ? 'No debug logs for this run' : 'Debug mode is off');
@@ -1634,10 +2051,156 @@ function bindSettingsHandlers() {
         console.log(`${LOG_PREFIX} Exported ${settings.customBlockedPhrases.length} custom phrases`);
     });
 
+    // Per-character / per-chat overrides
+    $('#asf_override_scope').on('change', renderOverridesPanel);
+
+    $('#asf_override_rule_on, #asf_override_rule_off').on('click', function () {
+        const input = $('#asf_override_rule_input').val().trim();
+        const rule = StaticFixer.rules.find(r => StaticFixer.getRuleKey(r) === input || r.scriptName === input);
+        if (!rule) {
+            showNotification('Pick a loaded rule from the list', 'warning');
+            return;
+        }
+
+        const enabled = this.id === 'asf_override_rule_on';
+        updateOverrides(overrides => {
+            overrides.rules[StaticFixer.getRuleKey(rule)] = enabled;
+        });
+        $('#asf_override_rule_input').val('');
+    });
+
+    $('#asf_override_category_on, #asf_override_category_off').on('click', function () {
+        const category = $('#asf_override_category').val();
+        if (!category) return;
+
+        const enabled = this.id === 'asf_override_category_on';
+        updateOverrides(overrides => {
+            overrides.categories[category] = enabled;
+        });
+    });
+
+    $('#asf_override_phrase_block, #asf_override_phrase_allow').on('click', function () {
+        const phrase = $('#asf_override_phrase_input').val().trim();
+        if (!phrase) {
+            showNotification('Please enter a phrase', 'warning');
+            return;
+        }
+
+        const block = this.id === 'asf_override_phrase_block';
+        updateOverrides(overrides => {
+            const lower = phrase.toLowerCase();
+            const { add, remove } = overrides.blockedPhrases;
+            overrides.blockedPhrases.add = add.filter(p => p.toLowerCase() !== lower);
+            overrides.blockedPhrases.remove = remove.filter(p => p.toLowerCase() !== lower);
+            overrides.blockedPhrases[block ? 'add' : 'remove'].push(phrase);
+        });
+        $('#asf_override_phrase_input').val('');
+    });
+
+    $('.asf-override-constraint').on('change', function () {
+        const key = $(this).data('key');
+        const raw = String($(this).val()).trim();
+        updateOverrides(overrides => {
+            if (raw === '') {
+                delete overrides.constraints[key];
+            } else {
+                overrides.constraints[key] = key === 'perspective' ? raw : Math.max(0, parseInt(raw) || 0);
+            }
+        });
+    });
+
+    $('#asf_override_list').on('click', '.asf-override-remove', function () {
+        const kind = $(this).data('kind');
+        const key = String($(this).data('key'));
+        updateOverrides(overrides => {
+            if (kind === 'add' || kind === 'remove') {
+                overrides.blockedPhrases[kind] = overrides.blockedPhrases[kind].filter(p => p !== key);
+            } else {
+                delete overrides[kind][key];
+            }
+        });
+    });
+
+    $('#asf_override_clear').on('click', function () {
+        const scope = $('#asf_override_scope').val() || 'character';
+        if (!confirm(`Remove all overrides for this ${scope}?`)) return;
+        updateOverrides(overrides => Object.assign(overrides, createOverrides()));
+    });
+
     // ===========================
     // Module D: AI Regex Generator Handlers
     // ===========================
 
+    // Module B reference scoring (applies to phrases counted from now on)
+    $('#asf_reference_scoring').on('change', function () {
+        settings.referenceScoring = $(this).prop('checked');
+        saveSettings();
+        updateScoringContext();
+    });
+
+    // User profile (re-analyzes the chat's user messages when turned on)
+    $('#asf_user_profile').on('change', function () {
+        settings.userProfileEnabled = $(this).prop('checked');
+        saveSettings();
+        bindWatcherState();
+    });
+
+    // Module B fuzzy grouping (saved state is grouped one way or the other, so the chat is re-analyzed)
+    $('#asf_fuzzy_grouping').on('change', function () {
+        settings.fuzzyGrouping = $(this).prop('checked');
+        saveSettings();
+        bindWatcherState();
+    });
+
+    // Prose metrics
+    $('#asf_metrics_chart_metric').on('change', renderProseMetricsPanel);
+
+    $('#asf_metric_violations').on('change', function () {
+        settings.proseMetricViolations = $(this).prop('checked');
+        saveSettings();
+    });
+
+    $('#asf_metric_thresholds').on('change', '.asf-metric-threshold', function () {
+        const value = parseFloat($(this).val());
+        settings.proseMetricThresholds = {
+            ...DEFAULT_METRIC_THRESHOLDS,
+            ...settings.proseMetricThresholds,
+            [$(this).data('threshold')]: Number.isFinite(value) && value > 0 ? value : 0
+        };
+        saveSettings();
+        renderProseMetricsPanel();
+    });
+
+    // Global slop corpus
+    $('#asf_global_corpus_enabled').on('change', function () {
+        settings.globalCorpusEnabled = $(this).prop('checked');
+        saveSettings();
+    });
+
+    $('#asf_global_corpus_half_life').on('change', function () {
+        const days = parseInt($(this).val());
+        if (days >= 1 && days <= 365) {
+            settings.globalCorpusHalfLifeDays = days;
+            saveSettings();
+            renderGlobalCorpusList();
+        }
+    });
+
+    $('#asf_global_corpus_inject_count').on('change', function () {
+        const count = parseInt($(this).val());
+        if (count >= 0 && count <= 10) {
+            settings.globalCorpusInjectCount = count;
+            saveSettings();
+        }
+    });
+
+    $('#asf_global_corpus_clear').on('click', function () {
+        if (!confirm('Forget every phrase learned across chats?')) return;
+        initializeSlopCorpus().clear();
+        renderGlobalCorpusList();
+        updateDynamicRulesCount();
+    });
+
     // Module B analysis window
     $('#asf_module_b_window').on('change', function () {
         const window = parseInt($(this).val());
@@ -1659,8 +2222,8 @@ function bindSettingsHandlers() {
             // Disabled during generation
             $btn.prop('disabled', true).html('<i class="fa-solid fa-spinner fa-spin"></i> Generating...');
 
-            // Get detected phrases from Module B
-            const detectedPhrases = PassiveWatcher.getOverusedPhrases();
+            // Get detected phrases from Module B (plus the global corpus, so new chats have input too)
+            const detectedPhrases = getDetectedPhrases();
 
             if (detectedPhrases.length === 0) {
                 showNotification('No patterns detected yet. Chat more to gather data!', 'info');
@@ -1685,12 +2248,30 @@ function bindSettingsHandlers() {
         }
     });
 
+    // Lint the manual rule as it is typed; errors block adding it
+    $('#asf_manual_rule_regex, #asf_manual_rule_replacement').on('input', function () {
+        const regex = $('#asf_manual_rule_regex').val().trim();
+        const replacement = $('#asf_manual_rule_replacement').val().trim();
+        const $lint = $('#asf_manual_rule_lint');
+
+        if (!regex) {
+            $lint.empty();
+            $('#asf_add_manual_rule').prop('disabled', false);
+            return;
+        }
+
+        const findings = lintRule({ findRegex: regex, replaceString: replacement });
+        $lint.text(findings.length > 0 ? formatLintFindings(findings) : '✅ No problems found');
+        $('#asf_add_manual_rule').prop('disabled', hasLintErrors(findings));
+    });
+
     // Manual add rule
     $('#asf_add_manual_rule').on('click', function () {
         const generator = initializeAIGenerator();
         const name = $('#asf_manual_rule_name').val().trim();
         const regex = $('#asf_manual_rule_regex').val().trim();
         const replacement = $('#asf_manual_rule_replacement').val().trim();
+        const scope = $('#asf_manual_rule_scope').val() || 'all';
 
         if (!name || !regex || !replacement) {
             showNotification('All fields are required', 'warning');
@@ -1700,7 +2281,8 @@ function bindSettingsHandlers() {
         const success = generator.addRule({
             scriptName: name,
             findRegex: regex,
-            replaceString: replacement
+            replaceString: replacement,
+            scope
         });
 
         if (success) {
@@ -1708,6 +2290,7 @@ function bindSettingsHandlers() {
             $('#asf_manual_rule_name').val('');
             $('#asf_manual_rule_regex').val('');
             $('#asf_manual_rule_replacement').val('');
+            $('#asf_manual_rule_lint').empty();
 
             renderDynamicRulesList();
             updateDynamicRulesCount();
@@ -1744,6 +2327,47 @@ function bindSettingsHandlers() {
         input.click();
     });
 
+    // Export dynamic rules as SillyTavern Regex extension scripts
+    $('#asf_export_st_regex').on('click', function () {
+        const generator = initializeAIGenerator();
+        const json = generator.exportRules('st-regex');
+
+        if (json) {
+            const blob = new Blob([json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `prose-guardian-regex-scripts-${Date.now()}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            showNotification('Rules exported as Regex scripts!', 'success');
+        }
+    });
+
+    // Copy dynamic rules into SillyTavern's global Regex scripts
+    $('#asf_export_global_regex').on('click', function () {
+        const rules = settings.dynamicRules || [];
+        if (rules.length === 0) {
+            showNotification('No dynamic rules to export', 'warning');
+            return;
+        }
+        if (!confirm(`Add or update ${rules.length} rules in SillyTavern's global Regex scripts?`)) return;
+
+        const count = exportToGlobalRegexScripts(rules);
+        saveSettings();
+        syncLinkedRegexScripts(true);
+        showNotification(`Copied ${count} rules to global Regex scripts (reopen the Regex panel to see them)`, 'success');
+    });
+
+    $('#asf_link_st_regex').on('change', function () {
+        settings.linkSTRegexScripts = $(this).prop('checked');
+        saveSettings();
+        syncLinkedRegexScripts(true);
+    });
+
     // Export dynamic rules
     $('#asf_export_dynamic_rules').on('click', function () {
         const generator = initializeAIGenerator();
@@ -1833,11 +2457,14 @@ function updatePresetDropdown() {
     }
 }
 
+// Data a preset must never save or restore: installed packs are managed in the Rule Packs
+// tab and the global corpus is learned across chats
+const PRESET_EXCLUDED_KEYS = ['presets', 'current_preset', 'ruleStats', 'installedPacks', 'globalCorpus'];
+
 function getPresetSettings() {
-    const excluded = ['presets', 'current_preset'];
     const presetable = {};
     for (const key in settings) {
-        if (!excluded.includes(key)) {
+        if (!PRESET_EXCLUDED_KEYS.includes(key)) {
             presetable[key] = settings[key];
         }
     }
@@ -1894,8 +2521,12 @@ function loadPreset(name) {
     // Preserve presets array
     const presets = settings.presets;
 
-    // Apply preset settings
-    Object.assign(settings, preset.settings);
+    // Apply preset settings (older presets may still carry excluded keys)
+    Object.entries(preset.settings || {}).forEach(([key, value]) => {
+        if (!PRESET_EXCLUDED_KEYS.includes(key)) {
+            settings[key] = value;
+        }
+    });
 
     // Restore presets array and set current
     settings.presets = presets;
@@ -1960,28 +2591,95 @@ async function showRuleManager() {
     // Update counts
     $('#asf_learned_count').text(settings.learnedRules.length);
     $('#asf_builtin_count').text(StaticFixer.getStats().total || 0);
+    $('#asf_dead_count').text(StaticFixer.getDeadRules().length);
 
     // Render lists
     renderLearnedRulesList();
     renderBuiltinRulesList();
+    renderRuleStatsList();
+    await renderPacksList();
 
-    // Tab switching
-    $('.asf-tab').on('click', function () {
-        const tab = $(this).data('tab');
-        $('.asf-tab').removeClass('active');
-        $(this).addClass('active');
-        $('.asf-tab-panel').removeClass('active');
-        $(`#asf_${tab}_tab`).addClass('active');
+    $('#asf_analyze_conflicts').on('click', () => renderConflictsList());
+
+    $('#asf_reset_priorities').on('click', () => {
+        if (!confirm('Reset all rule priorities to the values in the rule files?')) return;
+        settings.rulePriorities = {};
+        saveSettings();
+        StaticFixer.setPriorities(settings.rulePriorities);
+        renderBuiltinRulesList();
+        renderConflictsList();
     });
 
-    // Export learned rules
-    $('#asf_export_learned').on('click', () => {
-        const data = JSON.stringify(settings.learnedRules, null, 2);
-        const blob = new Blob([data], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `ai-slop-fixer-learned-rules-${Date.now()}.json`;
+    // Install a pack from a JSON file
+    $('#asf_import_pack').on('click', () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const pack = initializePackManager().importPack(await file.text());
+            if (pack) {
+                showNotification(`📦 Installed ${pack.name} v${pack.version}`, 'success');
+                await refreshAfterPackChange();
+            }
+        };
+        input.click();
+    });
+
+    // Rule usage sorting and reset
+    $('#asf_stats_sort').on('change', () => renderRuleStatsList());
+
+    $('#asf_reset_rule_stats').on('click', () => {
+        if (!confirm('Reset hit statistics for all rules?')) return;
+        StaticFixer.resetRuleStats();
+        renderRuleStatsList();
+        console.log(`${LOG_PREFIX} Reset rule hit statistics`);
+    });
+
+    $('#asf_run_rule_tests').on('click', () => runRuleTests());
+
+    // Convert the bundled legacy patterns into dynamic rules
+    $('#asf_import_legacy_patterns').on('click', async () => {
+        try {
+            const text = await $.get({
+                url: `scripts/extensions/third-party/${EXTENSION_NAME}/slop-patterns.json`,
+                dataType: 'text'
+            });
+            const generator = initializeAIGenerator();
+            const builtinRules = StaticFixer.rules.filter(rule => rule.isStatic && !rule.isLegacy);
+            const count = generator.importRules(text, builtinRules);
+
+            if (count > 0) {
+                renderDynamicRulesList();
+                updateDynamicRulesCount();
+                await reloadModuleA();
+                $('#asf_builtin_count').text(StaticFixer.getStats().total || 0);
+                renderBuiltinRulesList();
+            }
+        } catch (err) {
+            showNotification(`Legacy import failed: ${err.message || err.statusText}`, 'error');
+        }
+    });
+
+    // Tab switching
+    $('.asf-tab').on('click', function () {
+        const tab = $(this).data('tab');
+        $('.asf-tab').removeClass('active');
+        $(this).addClass('active');
+        $('.asf-tab-panel').removeClass('active');
+        $(`#asf_${tab}_tab`).addClass('active');
+    });
+
+    // Export learned rules
+    $('#asf_export_learned').on('click', () => {
+        const data = JSON.stringify(settings.learnedRules, null, 2);
+        const blob = new Blob([data], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `ai-slop-fixer-learned-rules-${Date.now()}.json`;
         a.click();
         URL.revokeObjectURL(url);
         console.log(`${LOG_PREFIX} Exported ${settings.learnedRules.length} learned rules`);
@@ -2032,6 +2730,22 @@ async function showRuleManager() {
     });
 }
 
+// Open the Rule Manager on the loaded rules tab and scroll to one rule
+async function focusRuleInManager(ruleId) {
+    await showRuleManager();
+    $('.asf-tab[data-tab="builtin"]').trigger('click');
+
+    const $rule = $('#asf_builtin_list .asf-rule-item').filter(function () {
+        return String($(this).data('rule-id')) === ruleId;
+    });
+
+    if ($rule.length === 0) {
+        showNotification(`Rule ${ruleId} is no longer loaded`, 'warning');
+        return;
+    }
+    $rule.addClass('asf-explain-active')[0].scrollIntoView({ block: 'center' });
+}
+
 function renderLearnedRulesList() {
     const $list = $('#asf_learned_list');
     $list.empty();
@@ -2089,13 +2803,15 @@ function renderBuiltinRulesList() {
 
     rules.forEach((rule) => {
         const $item = $(`
-            <div class="asf-rule-item">
+            <div class="asf-rule-item" data-rule-id="${escapeHtml(StaticFixer.getRuleKey(rule) || '')}">
                 <div class="asf-rule-header">
                     <div class="asf-rule-pattern">${escapeHtml(rule.findRegex || rule.regex || 'No pattern')}</div>
                 </div>
                 <div class="asf-rule-stats">
                     <span>${escapeHtml(rule.scriptName || rule.name || 'Unnamed')}</span>
                     <span>${rule.category || 'Uncategorized'}</span>
+                    <span>Scope: ${rule.scope || 'all'}</span>
+                    <span>Priority: ${StaticFixer.getRulePriority(rule)}</span>
                 </div>
             </div>
         `);
@@ -2103,6 +2819,327 @@ function renderBuiltinRulesList() {
     });
 }
 
+// Reload Module A and the Rule Manager lists after a pack was installed, toggled or removed
+async function refreshAfterPackChange() {
+    await reloadModuleA();
+    await renderPacksList();
+    renderBuiltinRulesList();
+    renderRuleStatsList();
+    $('#asf_builtin_count').text(StaticFixer.getStats().total || 0);
+}
+
+async function renderPacksList() {
+    const $list = $('#asf_packs_list');
+    if (!$list.length) return;
+    $list.empty();
+
+    const manager = initializePackManager();
+    if (manager.bundledPacks.length === 0) {
+        await manager.fetchBundledPacks(`scripts/extensions/third-party/${EXTENSION_NAME}`);
+    }
+
+    const installed = manager.getInstalledPacks();
+    const available = manager.bundledPacks.filter(pack => !manager.getPack(pack.id));
+    $('#asf_pack_count').text(installed.length);
+
+    if (installed.length === 0 && available.length === 0) {
+        $list.html('<div style="text-align:center;opacity:0.6;padding:20px;">No rule packs found</div>');
+        return;
+    }
+
+    installed.forEach(pack => {
+        const update = manager.getAvailableUpdate(pack.id);
+        const activeCount = pack.rules.filter(rule => !rule.disabled).length;
+        const rulesHtml = pack.rules.map(rule => `
+            <label class="checkbox_label" title="${escapeHtml(rule.findRegex)}">
+                <input type="checkbox" class="asf-pack-rule-toggle" data-pack="${escapeHtml(pack.id)}" data-id="${escapeHtml(rule.id)}"
+                    ${rule.disabled ? '' : 'checked'} ${rule.lintDisabled ? 'disabled' : ''}>
+                <span>${escapeHtml(rule.scriptName || rule.id)}${rule.lintDisabled ? ' ⛔' : ''}</span>
+            </label>
+        `).join('');
+
+        const $item = $(`
+            <div class="asf-rule-item" style="opacity: ${pack.enabled ? 1 : 0.5};">
+                <div class="asf-rule-header">
+                    <div><strong>${escapeHtml(pack.name)}</strong> <small>v${escapeHtml(pack.version)} by ${escapeHtml(pack.author)}</small></div>
+                    <div class="asf-rule-actions">
+                        ${update ? `<button class="asf-rule-btn asf-update-pack" data-id="${escapeHtml(pack.id)}">⬆️ Update to v${escapeHtml(update.version)}</button>` : ''}
+                        <button class="asf-rule-btn asf-toggle-pack" data-id="${escapeHtml(pack.id)}">${pack.enabled ? '⏸️ Disable' : '▶️ Enable'}</button>
+                        <button class="asf-rule-btn asf-export-pack" data-id="${escapeHtml(pack.id)}">📤 Export</button>
+                        <button class="asf-rule-btn asf-uninstall-pack" data-id="${escapeHtml(pack.id)}">🗑️ Uninstall</button>
+                    </div>
+                </div>
+                <div class="asf-rule-stats">
+                    <span>${escapeHtml(pack.category || 'Uncategorized')}</span>
+                    <span>${activeCount}/${pack.rules.length} rules active</span>
+                    <span>${pack.source === 'bundled' ? 'Bundled' : 'From file'}</span>
+                </div>
+                ${pack.description ? `<small>${escapeHtml(pack.description)}</small>` : ''}
+                <details>
+                    <summary><small>Rules</small></summary>
+                    ${rulesHtml}
+                </details>
+            </div>
+        `);
+        $list.append($item);
+    });
+
+    available.forEach(pack => {
+        const $item = $(`
+            <div class="asf-rule-item">
+                <div class="asf-rule-header">
+                    <div><strong>${escapeHtml(pack.name)}</strong> <small>v${escapeHtml(pack.version)} by ${escapeHtml(pack.author || 'Unknown')}</small></div>
+                    <div class="asf-rule-actions">
+                        <button class="asf-rule-btn asf-install-pack" data-id="${escapeHtml(pack.id)}">📦 Install</button>
+                    </div>
+                </div>
+                <div class="asf-rule-stats">
+                    <span>${escapeHtml(pack.category || 'Uncategorized')}</span>
+                    <span>${pack.rules.length} rules</span>
+                    <span>Not installed</span>
+                </div>
+                ${pack.description ? `<small>${escapeHtml(pack.description)}</small>` : ''}
+            </div>
+        `);
+        $list.append($item);
+    });
+
+    $('.asf-install-pack, .asf-update-pack').on('click', async function () {
+        const pack = manager.bundledPacks.find(p => p.id === $(this).data('id'));
+        if (!pack || !manager.installPack(pack, 'bundled')) return;
+        showNotification(`📦 ${pack.name} v${pack.version} installed`, 'success');
+        await refreshAfterPackChange();
+    });
+
+    $('.asf-toggle-pack').on('click', async function () {
+        const pack = manager.getPack($(this).data('id'));
+        if (!pack) return;
+        manager.setPackEnabled(pack.id, !pack.enabled);
+        await refreshAfterPackChange();
+    });
+
+    $('.asf-pack-rule-toggle').on('change', async function () {
+        manager.setRuleEnabled($(this).data('pack'), $(this).data('id'), $(this).prop('checked'));
+        await refreshAfterPackChange();
+    });
+
+    $('.asf-export-pack').on('click', function () {
+        const id = $(this).data('id');
+        const json = manager.exportPack(id);
+        if (!json) return;
+
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${id}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    });
+
+    $('.asf-uninstall-pack').on('click', async function () {
+        const pack = manager.getPack($(this).data('id'));
+        if (!pack || !confirm(`Uninstall rule pack "${pack.name}"?`)) return;
+        manager.uninstallPack(pack.id);
+        await refreshAfterPackChange();
+    });
+}
+
+// Run every active rule over rule examples and recent AI messages, and list overlapping pairs
+function renderConflictsList() {
+    const $list = $('#asf_conflicts_list');
+    $list.empty();
+
+    const recentMessages = (getContext().chat || [])
+        .filter(message => !message.is_user && !message.is_system && message.mes)
+        .slice(-50)
+        .map(message => message.mes);
+
+    const corpus = StaticFixer.buildConflictCorpus(recentMessages);
+    const conflicts = StaticFixer.analyzeConflicts(corpus);
+    $('#asf_conflict_count').text(conflicts.length);
+
+    if (conflicts.length === 0) {
+        $list.html(`<div style="text-align:center;opacity:0.6;padding:20px;">No overlapping rules in ${corpus.length} samples</div>`);
+        return;
+    }
+
+    const ruleHtml = (rule, other, winner) => {
+        // Built-in rules can only be reordered; dynamic and pack rules can also be switched off
+        const canDisable = rule.packId || (settings.dynamicRules || []).some(r => r.id === rule.key);
+        return `
+            <div class="asf-rule-stats">
+                <span>${winner === rule.key ? '🏆 ' : ''}${escapeHtml(rule.scriptName)}</span>
+                <span>${ruleOrigin(rule)}</span>
+                <span>Priority: ${rule.priority}</span>
+                <div class="asf-rule-actions">
+                    <button class="asf-rule-btn asf-prefer-rule" data-id="${escapeHtml(rule.key)}" data-over="${other.priority}">⬆️ Prefer</button>
+                    ${canDisable ? `<button class="asf-rule-btn asf-disable-conflict-rule" data-id="${escapeHtml(rule.key)}" data-pack="${escapeHtml(rule.packId || '')}">⏸️ Disable</button>` : ''}
+                </div>
+            </div>
+        `;
+    };
+
+    conflicts.forEach(conflict => {
+        const $item = $(`
+            <div class="asf-rule-item">
+                <div class="asf-rule-header">
+                    <div class="asf-rule-pattern">${escapeHtml(conflict.sample)}</div>
+                    <small>${conflict.count} overlap${conflict.count === 1 ? '' : 's'}</small>
+                </div>
+                ${ruleHtml(conflict.a, conflict.b, conflict.winner)}
+                ${ruleHtml(conflict.b, conflict.a, conflict.winner)}
+            </div>
+        `);
+        $list.append($item);
+    });
+
+    // Reorder: lift the rule just above the one it overlaps
+    $('.asf-prefer-rule').on('click', function () {
+        const id = String($(this).data('id'));
+        settings.rulePriorities[id] = Number($(this).data('over')) + 1;
+        saveSettings();
+        StaticFixer.setPriorities(settings.rulePriorities);
+        renderBuiltinRulesList();
+        renderConflictsList();
+    });
+
+    $('.asf-disable-conflict-rule').on('click', async function () {
+        const id = String($(this).data('id'));
+        const packId = String($(this).data('pack') || '');
+
+        if (packId) {
+            initializePackManager().setRuleEnabled(packId, id, false);
+        } else {
+            initializeAIGenerator().editRule(id, { disabled: true });
+            renderDynamicRulesList();
+        }
+
+        await reloadModuleA();
+        await renderPacksList();
+        renderBuiltinRulesList();
+        renderConflictsList();
+    });
+}
+
+// Run every loaded rule's examples and report the result
+function runRuleTests() {
+    const report = StaticFixer.runRuleTests();
+    const summary = `Rule tests: ${report.passed}/${report.total} passed, ${report.failed} failed (${report.untested} rules without examples)`;
+
+    const $results = $('#asf_rule_test_results');
+    if ($results.length) {
+        $results.empty();
+        report.failures.forEach(failure => {
+            $results.append(`
+                <div class="asf-rule-item">
+                    <div class="asf-rule-header">
+                        <div class="asf-rule-pattern">❌ ${escapeHtml(failure.scriptName || failure.ruleKey)}</div>
+                    </div>
+                    <div class="asf-rule-stats">
+                        <span>${escapeHtml(failure.reason)}</span>
+                    </div>
+                </div>
+            `);
+        });
+        $results.prepend(`<div class="asf-info"><small>${escapeHtml(summary)}</small></div>`);
+    }
+
+    showNotification(summary, report.failed > 0 ? 'warning' : 'success');
+    return summary;
+}
+
+function renderRuleStatsList() {
+    const $list = $('#asf_rule_stats_list');
+    const $deadList = $('#asf_dead_rules_list');
+    $list.empty();
+    $deadList.empty();
+
+    const report = StaticFixer.getRuleStatsReport();
+    const deadRules = StaticFixer.getDeadRules();
+    $('#asf_dead_count').text(deadRules.length);
+
+    if (report.length === 0) {
+        $list.html('<div style="text-align:center;opacity:0.6;padding:20px;">No rules loaded</div>');
+        return;
+    }
+
+    const sortBy = $('#asf_stats_sort').val() || 'hits';
+    const sorters = {
+        hits: (a, b) => b.hits - a.hits,
+        lastHit: (a, b) => (b.lastHit || '').localeCompare(a.lastHit || ''),
+        charsReplaced: (a, b) => b.charsReplaced - a.charsReplaced,
+        name: (a, b) => a.scriptName.localeCompare(b.scriptName)
+    };
+    report.sort(sorters[sortBy] || sorters.hits);
+
+    report.forEach(entry => {
+        const $item = $(`
+            <div class="asf-rule-item" style="opacity: ${entry.disabled ? 0.5 : 1};">
+                <div class="asf-rule-header">
+                    <div>${escapeHtml(entry.scriptName)}</div>
+                    <small>${escapeHtml(entry.id)}</small>
+                </div>
+                <div class="asf-rule-stats">
+                    <span>Hits: ${entry.hits}</span>
+                    <span>Chars replaced: ${entry.charsReplaced}</span>
+                    <span>Last hit: ${entry.lastHit ? new Date(entry.lastHit).toLocaleString() : 'Never'}</span>
+                    <span>${ruleOrigin(entry)}${entry.disabled ? ' (disabled)' : ''}</span>
+                </div>
+            </div>
+        `);
+        $list.append($item);
+    });
+
+    if (deadRules.length === 0) {
+        $deadList.html('<div style="text-align:center;opacity:0.6;padding:20px;">Every enabled rule has matched at least once</div>');
+        return;
+    }
+
+    deadRules.forEach(entry => {
+        const deleteButton = entry.isStatic || entry.packId
+            ? ''
+            : `<div class="asf-rule-actions"><button class="asf-rule-btn asf-delete-dead-rule" data-id="${escapeHtml(entry.id)}">🗑️ Delete</button></div>`;
+
+        const $item = $(`
+            <div class="asf-rule-item">
+                <div class="asf-rule-header">
+                    <div>${escapeHtml(entry.scriptName)}</div>
+                    ${deleteButton}
+                </div>
+                <div class="asf-rule-stats">
+                    <span>${escapeHtml(entry.id)}</span>
+                    <span>${ruleOrigin(entry)}</span>
+                </div>
+            </div>
+        `);
+        $deadList.append($item);
+    });
+
+    // Prune unused dynamic rules
+    $('.asf-delete-dead-rule').on('click', async function () {
+        const id = $(this).data('id');
+        const rule = (settings.dynamicRules || []).find(r => r.id === id);
+        if (!rule || !confirm(`Delete unused rule "${rule.scriptName}"?`)) return;
+
+        const generator = initializeAIGenerator();
+        generator.deleteRule(id);
+        await reloadModuleA();
+        renderDynamicRulesList();
+        updateDynamicRulesCount();
+        renderRuleStatsList();
+        $('#asf_builtin_count').text(StaticFixer.getStats().total || 0);
+    });
+}
+
+// Label for where a rule in the stats report comes from
+function ruleOrigin(entry) {
+    if (entry.isStatic) return 'Built-in';
+    return entry.packId ? `📦 ${escapeHtml(entry.packId)}` : 'Dynamic';
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -2149,6 +3186,257 @@ function renderCustomPhraseList() {
     });
 }
 
+// Render the global slop corpus (top phrases with the models that produced them)
+function renderGlobalCorpusList() {
+    const $list = $('#asf_global_corpus_list');
+    if ($list.length === 0) return;
+
+    const corpus = initializeSlopCorpus();
+    $('#asf_global_corpus_count').text(corpus.getStats().phrases);
+    $list.empty();
+
+    const top = corpus.getTopPhrases({ limit: 20, minScore: 0 });
+    if (top.length === 0) {
+        $list.html('<small style="opacity: 0.7;">Nothing learned yet</small>');
+        return;
+    }
+
+    top.forEach(item => {
+        const models = Object.entries(item.models)
+            .sort((a, b) => b[1] - a[1])
+            .map(([model, count]) => `${model} ×${count}`)
+            .join(', ');
+        $list.append(`
+            <div style="padding: 5px; margin: 3px 0; background: var(--SmartThemeBlurTintColor); border-radius: 3px;">
+                <span style="font-family: monospace;">${escapeHtml(item.phrase)}</span>
+                <small style="opacity: 0.7;"> • score ${item.score.toFixed(1)} • ${escapeHtml(models)}</small>
+            </div>
+        `);
+    });
+}
+
+// Render Module B's overused structural patterns
+function renderPatternList() {
+    const $list = $('#asf_pattern_list');
+    if ($list.length === 0) return;
+
+    const patterns = PassiveWatcher.getOverusedPatterns();
+    $('#asf_pattern_count').text(patterns.length);
+    $list.empty();
+
+    if (patterns.length === 0) {
+        $list.html('<small style="opacity: 0.7;">No repetitive structures yet</small>');
+        return;
+    }
+
+    patterns.slice(0, 10).forEach(pattern => {
+        const example = pattern.examples[0] ? `<div style="opacity: 0.7; font-style: italic;">"${escapeHtml(pattern.examples[0])}"</div>` : '';
+        $list.append(`
+            <div style="padding: 5px; margin: 3px 0; background: var(--SmartThemeBlurTintColor); border-radius: 3px;">
+                <span>${escapeHtml(pattern.name)}</span>
+                <small style="opacity: 0.7;"> • ×${pattern.count} • score ${pattern.score.toFixed(1)}</small>
+                <small>${example}</small>
+            </div>
+        `);
+    });
+}
+
+// Per-message prose metrics of the chat's recent AI messages (oldest first)
+function getChatMetrics() {
+    const chat = getContext().chat || [];
+    return chat
+        .map((message, id) => ({ message, id }))
+        .filter(({ message }) => !message.is_user && !message.is_system && message.mes)
+        .slice(-(settings.moduleBAnalysisWindow || 20))
+        .map(({ message, id }) => ({ id, metrics: computeMetrics(message.mes) }))
+        .filter(entry => entry.metrics);
+}
+
+// Build an SVG line chart of one metric across messages, with its threshold
+function buildMetricChart(points, limit) {
+    const width = 300;
+    const height = 100;
+    const pad = 8;
+    const values = points.map(point => point.value).filter(value => typeof value === 'number');
+    if (values.length === 0) {
+        return '<small style="opacity: 0.7;">Not enough text for this metric yet</small>';
+    }
+
+    const max = Math.max(...values, limit || 0) * 1.1 || 1;
+    const x = index => points.length === 1 ? width / 2 : pad + index * (width - 2 * pad) / (points.length - 1);
+    const y = value => height - pad - value * (height - 2 * pad) / max;
+
+    const plotted = points
+        .map((point, index) => typeof point.value === 'number' ? { ...point, x: x(index), y: y(point.value) } : null)
+        .filter(Boolean);
+    const line = plotted.map(point => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' ');
+    const dots = plotted.map(point => `<circle cx="${point.x.toFixed(1)}" cy="${point.y.toFixed(1)}" r="2.5" fill="currentColor"><title>Message #${point.id}: ${point.value}</title></circle>`).join('');
+    const threshold = limit
+        ? `<line x1="0" x2="${width}" y1="${y(limit).toFixed(1)}" y2="${y(limit).toFixed(1)}" stroke="var(--warning, orange)" stroke-dasharray="4 3"><title>Threshold: ${limit}</title></line>`
+        : '';
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" style="width: 100%; height: 120px; color: var(--SmartThemeQuoteColor);">
+            <rect x="0" y="0" width="${width}" height="${height}" fill="var(--black30alpha)" />
+            ${threshold}
+            <polyline points="${line}" fill="none" stroke="currentColor" stroke-width="1.5" />
+            ${dots}
+        </svg>
+    `;
+}
+
+// Render the prose metrics panel: latest message vs. rolling chat average, and a chart per metric
+function renderProseMetricsPanel() {
+    const $table = $('#asf_metrics_table');
+    if ($table.length === 0) return;
+
+    const thresholds = { ...DEFAULT_METRIC_THRESHOLDS, ...settings.proseMetricThresholds };
+    const $select = $('#asf_metrics_chart_metric');
+    if ($select.children().length === 0) {
+        PROSE_METRICS.forEach(metric => $select.append(`<option value="${metric.key}">${escapeHtml(metric.label)}</option>`));
+    }
+
+    // Threshold inputs (built once)
+    const $thresholds = $('#asf_metric_thresholds');
+    if ($thresholds.children().length === 0) {
+        PROSE_METRICS.forEach(metric => {
+            const bound = metric.direction === 'max' ? 'Max' : 'Min';
+            $thresholds.append(`
+                <div class="flex-container" style="align-items: center; gap: 5px;">
+                    <label for="asf_metric_${metric.threshold}" style="flex: 1;">${escapeHtml(metric.label)} (${bound}, ${escapeHtml(metric.unit)}):</label>
+                    <input type="number" id="asf_metric_${metric.threshold}" class="text_pole asf-metric-threshold"
+                        data-threshold="${metric.threshold}" min="0" step="0.1" style="width: 80px;" />
+                </div>
+            `);
+        });
+    }
+    PROSE_METRICS.forEach(metric => $(`#asf_metric_${metric.threshold}`).val(thresholds[metric.threshold]));
+    $('#asf_metric_violations').prop('checked', settings.proseMetricViolations);
+
+    const history = getChatMetrics();
+    $table.empty();
+    if (history.length === 0) {
+        $table.html('<small style="opacity: 0.7;">No AI messages in this chat yet</small>');
+        $('#asf_metrics_chart').empty();
+        return;
+    }
+
+    const latest = history[history.length - 1].metrics;
+    const average = averageMetrics(history.map(entry => entry.metrics));
+    const outside = (metric, value) => {
+        const limit = Number(thresholds[metric.threshold]);
+        if (!limit || typeof value !== 'number') return false;
+        return metric.direction === 'max' ? value > limit : value < limit;
+    };
+    const cell = (metric, value) => `<td style="padding: 2px 6px;${outside(metric, value) ? ' color: var(--warning, orange); font-weight: bold;' : ''}">${formatMetricValue(metric, value)}</td>`;
+
+    $table.append(`
+        <table style="width: 100%; font-size: 0.9em;">
+            <tr><th style="text-align: left;">Metric</th><th>Latest</th><th>Chat avg (${average.messages})</th><th>Limit</th></tr>
+            ${PROSE_METRICS.map(metric => `
+                <tr>
+                    <td style="padding: 2px 6px;">${escapeHtml(metric.label)}</td>
+                    ${cell(metric, latest[metric.key])}
+                    ${cell(metric, average[metric.key])}
+                    <td style="padding: 2px 6px; opacity: 0.7;">${Number(thresholds[metric.threshold]) ? formatMetricValue(metric, Number(thresholds[metric.threshold])) : 'off'}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `);
+
+    const metric = PROSE_METRICS.find(m => m.key === $select.val()) || PROSE_METRICS[0];
+    const points = history.map(entry => ({ id: entry.id, value: entry.metrics[metric.key] }));
+    $('#asf_metrics_chart').html(buildMetricChart(points, Number(thresholds[metric.threshold]) || 0));
+}
+
+// Render the per-character / per-chat overrides editor
+function renderOverridesPanel() {
+    const $list = $('#asf_override_list');
+    if ($list.length === 0) return;
+
+    const context = getContext();
+    const scope = $('#asf_override_scope').val() || 'character';
+    const overrides = getOverrides(scope);
+
+    // Target label
+    let target;
+    if (scope === 'character') {
+        const characterId = getOverrideCharacterId();
+        target = characterId !== null ? context.characters[characterId].name : 'No character selected';
+    } else {
+        target = context.chatId ? String(context.chatId) : 'No chat open';
+    }
+    $('#asf_override_target').text(target);
+
+    // Rule and category pickers
+    const $rules = $('#asf_override_rule_options').empty();
+    StaticFixer.rules.forEach(rule => {
+        $rules.append($('<option>').val(StaticFixer.getRuleKey(rule)).text(rule.scriptName || 'Unnamed'));
+    });
+    const $categories = $('#asf_override_category').empty();
+    Object.keys(StaticFixer.getCategoryBreakdown()).sort().forEach(category => {
+        $categories.append($('<option>').val(category).text(category));
+    });
+
+    // Constraints: blank inherits, the placeholder shows what would be inherited
+    const inherited = resolveConstraints(settings, scope === 'chat' ? [getOverrides('character')] : []);
+    $('.asf-override-constraint').each(function () {
+        const key = $(this).data('key');
+        const value = overrides.constraints[key];
+        if (key === 'perspective') {
+            $(this).find('option[value=""]').text(`Inherit (${inherited.perspective})`);
+        } else {
+            $(this).attr('placeholder', inherited[key]);
+        }
+        $(this).val(value ?? '');
+    });
+
+    // Current entries
+    const entries = [
+        ...Object.entries(overrides.rules).map(([key, enabled]) => {
+            const rule = StaticFixer.rules.find(r => StaticFixer.getRuleKey(r) === key);
+            return { kind: 'rules', key, label: `Rule: ${rule?.scriptName || key}`, enabled };
+        }),
+        ...Object.entries(overrides.categories).map(([key, enabled]) => ({ kind: 'categories', key, label: `Category: ${key}`, enabled })),
+        ...overrides.blockedPhrases.add.map(key => ({ kind: 'add', key, label: `Phrase: "${key}"`, enabled: false })),
+        ...overrides.blockedPhrases.remove.map(key => ({ kind: 'remove', key, label: `Phrase: "${key}"`, enabled: true }))
+    ];
+
+    const constraintCount = Object.keys(overrides.constraints).length;
+    $('#asf_override_count').text(entries.length + constraintCount);
+    $list.empty();
+
+    if (entries.length === 0) {
+        $list.html(`<small style="opacity: 0.7;">No rule or phrase overrides for this ${scope}</small>`);
+        return;
+    }
+
+    entries.forEach(entry => {
+        const state = entry.kind === 'add' ? '🚫 Blocked'
+            : entry.kind === 'remove' ? '✅ Allowed'
+                : entry.enabled ? '✅ On' : '⛔ Off';
+        $list.append(`
+            <div style="display: flex; justify-content: space-between; align-items: center; padding: 5px; margin: 3px 0; background: var(--SmartThemeBlurTintColor); border-radius: 3px;">
+                <span>${escapeHtml(entry.label)} <small style="opacity: 0.7;">${state}</small></span>
+                <button class="menu_button asf-override-remove" data-kind="${entry.kind}" data-key="${escapeHtml(entry.key)}" title="Go back to the inherited setting">
+                    <i class="fa-solid fa-xmark"></i>
+                </button>
+            </div>
+        `);
+    });
+}
+
+// Change the overrides of the scope selected in the editor and save them
+async function updateOverrides(mutate) {
+    const scope = $('#asf_override_scope').val() || 'character';
+    const overrides = getOverrides(scope);
+    mutate(overrides);
+
+    if (await saveOverrides(scope, overrides)) {
+        renderOverridesPanel();
+    }
+}
+
 // ===========================
 // Dynamic Rules Rendering (Module D)
 // ===========================
@@ -2166,19 +3454,24 @@ function renderDynamicRulesList() {
 
     rules.forEach((rule, index) => {
         const isDisabled = rule.disabled || false;
-        const source = rule.isAI ? '🤖 AI' : rule.isManual ? '✏️ Manual' : rule.isImported ? '📥 Imported' : '❓';
+        const source = rule.isAI ? '🤖 AI' : rule.isManual ? '✏️ Manual' : rule.isLegacy ? '📜 Legacy' : rule.isImported ? '📥 Imported' : '❓';
+        const category = rule.category ? ` • ${escapeHtml(rule.category)}` : '';
+        const findings = lintRule(rule);
+        const lintBadge = findings.length > 0
+            ? `<span title="${escapeHtml(formatLintFindings(findings))}">${hasLintErrors(findings) ? '⛔' : '⚠️'}</span> `
+            : '';
 
         const $ruleItem = $(`
             <div style="display: flex; justify-content: space-between; align-items: center; padding: 8px; margin: 5px 0; background: var(--SmartThemeBlurTintColor); border-radius: 5px; opacity: ${isDisabled ? 0.5 : 1};">
                 <div style="flex: 1;">
                     <div style="font-weight: bold; ${isDisabled ? 'text-decoration: line-through;' : ''}">
-                        ${escapeHtml(rule.scriptName || 'Unnamed Rule')}
+                        ${lintBadge}${escapeHtml(rule.scriptName || 'Unnamed Rule')}
                     </div>
                     <div style="font-size: 0.85em; opacity: 0.8; font-family: monospace; margin-top: 3px;">
                         ${escapeHtml(rule.findRegex).substring(0, 60)}${rule.findRegex.length > 60 ? '...' : ''}
                     </div>
                     <div style="font-size: 0.75em; opacity: 0.6; margin-top: 2px;">
-                        ${source} • ${rule.replaceString ? rule.replaceString.split(',').length : 0} alternatives
+                        ${source}${category} • ${rule.scope || 'all'} • ${countAlternatives(rule.replaceString || '', settings.alternativePools)} alternatives
                     </div>
                 </div>
                 <div style="display: flex; gap: 5px;">
@@ -2201,6 +3494,13 @@ function renderDynamicRulesList() {
         const id = $(this).data('id');
         const rule = rules.find(r => r.id === id);
         if (rule) {
+            // Rules with lint errors can't be activated
+            const findings = rule.disabled ? lintRule(rule) : [];
+            if (hasLintErrors(findings)) {
+                showNotification(`"${rule.scriptName}" has errors: ${formatLintFindings(findings)}`, 'error');
+                return;
+            }
+
             rule.disabled = !rule.disabled;
             saveSettings();
             renderDynamicRulesList();
@@ -2229,8 +3529,8 @@ function updateDynamicRulesCount() {
     const count = (settings.dynamicRules || []).length;
     $('#asf_dynamic_rules_count').text(count);
 
-    // Also update detectable count from Module B
-    const detected = PassiveWatcher.getOverusedPhrases();
+    // Also update detectable count from Module B and the global corpus
+    const detected = getDetectedPhrases();
     $('#asf_detectable_count').text(detected.length);
 }
 
@@ -2238,9 +3538,355 @@ function updateDynamicRulesCount() {
 async function reloadModuleA() {
     const rulesPath = `scripts/extensions/third-party/${EXTENSION_NAME}/regex_rules.json`;
     const dynamicRules = settings.dynamicRules || [];
-    await StaticFixer.loadRules(rulesPath, dynamicRules);
+    const legacyPatternsPath = settings.loadLegacyPatterns
+        ? `scripts/extensions/third-party/${EXTENSION_NAME}/slop-patterns.json`
+        : null;
+    const packRules = initializePackManager().getActiveRules();
+    StaticFixer.setPriorities(settings.rulePriorities);
+    await StaticFixer.loadRules(rulesPath, dynamicRules, { legacyPatternsPath, packRules });
+    syncLinkedRegexScripts(true);
+
+    applyProtectedSpans();
+    StaticFixer.grammarRepair = settings.grammarRepairEnabled !== false;
+    StaticFixer.setPools(settings.alternativePools);
+    StaticFixer.setSeed(settings.randomSeed);
+    bindChoiceMemory();
+
+    // Hit statistics live in extension settings so they survive reloads
+    if (!settings.ruleStats || typeof settings.ruleStats !== 'object') {
+        settings.ruleStats = {};
+    }
+    StaticFixer.setRuleStats(settings.ruleStats, () => saveSettings());
+    renderOverridesPanel(); // Rule and category pickers list the loaded rules
+}
+
+// Signature of the Regex extension scripts last linked into Module A
+let linkedRegexSignature = null;
+
+// Helper to mirror SillyTavern's global Regex scripts into Module A (only when they changed)
+// Linked scripts run only in Module A: their global copies are switched off until unlinked,
+// or until Fast Mode (which runs Module A) is turned off.
+function syncLinkedRegexScripts(force = false) {
+    const linked = !!settings.linkSTRegexScripts && !!settings.fastModeEnabled;
+    const globalScripts = Array.isArray(extension_settings.regex) ? extension_settings.regex : [];
+    const handedOver = globalScripts.filter(script => setScriptLinked(script, linked));
+    if (handedOver.length > 0) {
+        console.log(`${LOG_PREFIX} ${linked ? 'Took over' : 'Handed back'} ${handedOver.length} global Regex scripts`);
+    }
+
+    const scripts = linked ? globalScripts : [];
+    // The switch isn't serialized, so add each script's own state
+    const signature = JSON.stringify(scripts.map(script => [script, script[LINKED_SCRIPT_FIELD]?.disabled]));
+    if (!force && signature === linkedRegexSignature) return;
+    linkedRegexSignature = signature;
+
+    // Our own rules copied to the global scripts are already loaded as dynamic rules
+    const exportedIds = new Set((settings.dynamicRules || []).map(rule => rule.stScript?.id).filter(Boolean));
+
+    // Only scripts handed over run here; the rest (e.g. ones that also edit user input) run in SillyTavern
+    const rules = scripts
+        .filter(script => isSTRegexScript(script) && !exportedIds.has(script.id))
+        .map(script => ({
+            ...fromSTRegexScript(script),
+            id: `STREGEX_${script.id}`,
+            ...(script[LINKED_SCRIPT_FIELD] ? {} : { disabled: true })
+        }));
+
+    StaticFixer.setLinkedRules(rules);
+}
+
+// Helper to add or update rules in SillyTavern's global Regex scripts
+function exportToGlobalRegexScripts(rules) {
+    if (!Array.isArray(extension_settings.regex)) {
+        extension_settings.regex = [];
+    }
+    const scripts = extension_settings.regex;
+
+    rules.forEach(rule => {
+        const script = toSTRegexScript(rule);
+        const existingIndex = scripts.findIndex(existing => existing.id === script.id);
+        if (existingIndex !== -1) {
+            scripts[existingIndex] = script;
+        } else {
+            scripts.push(script);
+        }
+
+        // Remember the script ID so the next export updates instead of duplicating
+        rule.stScript = { ...(rule.stScript || {}), id: script.id };
+    });
+
+    console.log(`${LOG_PREFIX} Copied ${rules.length} rules to global Regex scripts`);
+    return rules.length;
+}
+
+// Helper to point Module A's no-repeat memory at the current chat's metadata
+function bindChoiceMemory() {
+    const metadata = getContext().chatMetadata;
+    if (!settings.noRepeatAlternatives || !metadata) {
+        StaticFixer.setChoiceMemory(null);
+        return;
+    }
+
+    if (!metadata.asf_recent_alternatives || typeof metadata.asf_recent_alternatives !== 'object') {
+        metadata.asf_recent_alternatives = {};
+    }
+    StaticFixer.setChoiceMemory(metadata.asf_recent_alternatives, () => saveMetadataDebounced());
+}
+
+// Module B state is kept per chat; cap what goes into the chat file
+const MAX_SAVED_NGRAMS = 5000;
+// Chat whose phrases Module B currently holds (null until bound)
+let watcherChatId = null;
+// Binds run one after another so a slow batch can't land in the next chat
+let watcherBinding = Promise.resolve();
+
+// Bundled reference frequency table for Module B scoring (loaded once)
+let referenceFrequencies = null;
+
+// Helper to gather the text this story is expected to use: cards, lorebooks, names
+async function collectStoryText() {
+    const context = getContext();
+    const texts = [];
+    const names = [context.name1, context.name2].filter(Boolean);
+
+    // The open character, or every member of the open group
+    const group = context.groupId ? (context.groups || []).find(g => g.id === context.groupId) : null;
+    const characters = group
+        ? (context.characters || []).filter(character => group.members?.includes(character.avatar))
+        : [context.characters?.[context.characterId]].filter(Boolean);
+
+    characters.forEach(character => {
+        names.push(character.name);
+        texts.push(character.description, character.personality, character.scenario, character.first_mes, character.mes_example);
+        (character.data?.character_book?.entries || []).forEach(entry => {
+            texts.push(entry.content, ...(entry.keys || []));
+        });
+    });
+
+    // The chat's own lorebook
+    const chatLorebook = context.chatMetadata?.world_info;
+    if (chatLorebook && typeof context.loadWorldInfo === 'function') {
+        try {
+            const book = await context.loadWorldInfo(chatLorebook);
+            Object.values(book?.entries || {}).forEach(entry => {
+                texts.push(entry.content, ...(entry.key || []));
+            });
+        } catch (error) {
+            console.warn(`${LOG_PREFIX} Module B: Could not read lorebook "${chatLorebook}":`, error);
+        }
+    }
+
+    return { texts: texts.filter(Boolean), names };
+}
+
+// Helper to point Module B's scoring at the reference table and the current story
+async function updateScoringContext() {
+    if (!settings.referenceScoring) {
+        PassiveWatcher.setScoringContext(null);
+        return;
+    }
+
+    if (!referenceFrequencies) {
+        try {
+            const response = await fetch(`scripts/extensions/third-party/${EXTENSION_NAME}/reference-frequencies.json`);
+            referenceFrequencies = await response.json();
+        } catch (error) {
+            console.warn(`${LOG_PREFIX} Module B: Failed to load reference-frequencies.json, using raw counts:`, error);
+            PassiveWatcher.setScoringContext(null);
+            return;
+        }
+    }
+
+    const { texts, names } = await collectStoryText();
+    const storyTerms = buildStoryTerms(texts, names, referenceFrequencies);
+    PassiveWatcher.setScoringContext({ reference: referenceFrequencies, storyTerms });
+    console.log(`${LOG_PREFIX} Module B: Scoring against ${referenceFrequencies.words.length} reference words and ${storyTerms.length} story terms`);
+}
+
+// Helper to load the current chat's Module B state, or build it from the chat history once
+function bindWatcherState() {
+    watcherBinding = watcherBinding.then(async () => {
+        const context = getContext();
+        const metadata = context.chatMetadata;
+        watcherChatId = null;
+        PassiveWatcher.settings.fuzzyGrouping = settings.fuzzyGrouping;
+        PassiveWatcher.setNames([context.name1, context.name2]);
+        await updateScoringContext();
+
+        UserProfile.watcher.settings.fuzzyGrouping = settings.fuzzyGrouping;
+        UserProfile.watcher.setNames([context.name1, context.name2]);
+
+        if (!metadata || !context.chatId) {
+            PassiveWatcher.reset();
+            UserProfile.watcher.reset();
+            return;
+        }
+
+        // Saved contributions only hold hashes; their text is read back from the chat
+        const chatTextOf = (messageId, swipeId) => {
+            const message = context.chat?.[messageId];
+            if (!message) return undefined;
+            return (message.swipe_id ?? 0) === swipeId ? message.mes : message.swipes?.[swipeId];
+        };
+
+        // The user's own phrasing (short messages, so always analyzed on the main thread)
+        if (!settings.userProfileEnabled) {
+            UserProfile.watcher.reset();
+        } else if (!UserProfile.watcher.importState(metadata.asf_user_profile_state, chatTextOf)) {
+            UserProfile.watcher.analyzeChatHistory(context.chat || []);
+        }
+
+        if (PassiveWatcher.importState(metadata.asf_watcher_state, chatTextOf)) {
+            console.log(`${LOG_PREFIX} Module B: Restored ${PassiveWatcher.ngramFrequencies.size} phrases for this chat`);
+        } else if (context.chat && context.chat.length > 0) {
+            // No saved state yet: analyze the history (in the worker when the chat is long enough)
+            const results = await PassiveWatcherClient.analyzeChatHistory(context.chat);
+            console.log(`${LOG_PREFIX} Initial analysis: ${results.analyzed} messages, ${results.overusedPhrases.length} overused phrases`);
+        }
+
+        // The chat may have changed while the history was analyzed
+        if (getContext().chatId !== context.chatId) return;
+
+        watcherChatId = context.chatId;
+        saveWatcherState();
+        updateWatcherViews();
+    }).catch(error => {
+        console.error(`${LOG_PREFIX} Module B: Failed to load chat state:`, error);
+    });
+    return watcherBinding;
+}
+
+// Helper to write Module B's state into the chat it belongs to
+function saveWatcherState() {
+    const context = getContext();
+    if (!watcherChatId || context.chatId !== watcherChatId || !context.chatMetadata) return;
+
+    context.chatMetadata.asf_watcher_state = PassiveWatcher.exportState(MAX_SAVED_NGRAMS);
+    if (settings.userProfileEnabled) {
+        context.chatMetadata.asf_user_profile_state = UserProfile.watcher.exportState(MAX_SAVED_NGRAMS);
+    } else {
+        delete context.chatMetadata.asf_user_profile_state;
+    }
+    saveMetadataDebounced();
+}
+
+// Helper to push Module B's current results to Module C and the settings panel
+function updateWatcherViews() {
+    ProactiveInjector.updateOverusedPhrases(PassiveWatcher.getOverusedPhrases());
+    ProactiveInjector.updateOverusedPatterns(PassiveWatcher.getOverusedPatterns());
+    $('#asf_module_b_count').text(PassiveWatcher.getOverusedPhrases().length);
+    renderPatternList();
+    renderProseMetricsPanel(); // Swipes, edits and deletions change the chat's metrics too
+}
+
+// Helper to make Module B count the text a message shows now (after a swipe or edit)
+// User messages go to the user profile instead, when it's enabled
+function syncWatcherMessage(messageId) {
+    const context = getContext();
+    const message = context.chat?.[messageId];
+    if (!message || message.is_system || !watcherChatId) return;
+
+    if (message.is_user) {
+        if (!settings.userProfileEnabled) return;
+        UserProfile.watcher.syncMessage(Number(messageId), 0, message.mes);
+        saveWatcherState();
+        return;
+    }
+
+    PassiveWatcherClient.syncMessage(Number(messageId), message.swipe_id ?? 0, message.mes);
+    saveWatcherState();
+    updateWatcherViews();
+}
+
+// Helper to find the character card a message (or the current chat) belongs to
+function getOverrideCharacterId(message = null) {
+    const context = getContext();
+
+    // Group chats: each message remembers which card wrote it
+    if (message?.original_avatar && Array.isArray(context.characters)) {
+        const index = context.characters.findIndex(character => character.avatar === message.original_avatar);
+        if (index !== -1) return index;
+    }
+
+    const id = context.characterId;
+    return id !== undefined && id !== null && context.characters?.[id] ? Number(id) : null;
+}
+
+// Helper to read one override layer ('character' or 'chat')
+function getOverrides(scope, message = null) {
+    const context = getContext();
+
+    if (scope === 'character') {
+        const characterId = getOverrideCharacterId(message);
+        const character = characterId !== null ? context.characters[characterId] : null;
+        return normalizeOverrides(character?.data?.extensions?.[OVERRIDES_FIELD]);
+    }
+
+    return normalizeOverrides(context.chatMetadata?.asf_overrides);
+}
+
+// Helper to store one override layer in the character card or the chat metadata
+async function saveOverrides(scope, overrides) {
+    const context = getContext();
+    const value = hasOverrides(overrides) ? overrides : null;
+
+    if (scope === 'character') {
+        const characterId = getOverrideCharacterId();
+        if (characterId === null) {
+            showNotification('Open a character chat to edit character overrides', 'warning');
+            return false;
+        }
+        await context.writeExtensionField(characterId, OVERRIDES_FIELD, value);
+    } else {
+        if (!context.chatMetadata) {
+            showNotification('Open a chat to edit chat overrides', 'warning');
+            return false;
+        }
+        if (value) {
+            context.chatMetadata.asf_overrides = value;
+        } else {
+            delete context.chatMetadata.asf_overrides;
+        }
+        saveMetadataDebounced();
+    }
+
+    console.log(`${LOG_PREFIX} Saved ${scope} overrides`);
+    return true;
+}
+
+/**
+ * Resolve global settings -> character -> chat overrides
+ * @param {Object} message - Chat message, to pick the right card in group chats (optional)
+ * @returns {Object} - {layers, constraints, blockedPhrases, active, sources}
+ */
+function resolveOverrides(message = null) {
+    const character = getOverrides('character', message);
+    const chat = getOverrides('chat');
+    const layers = [character, chat];
+
+    return {
+        layers,
+        constraints: resolveConstraints(settings, layers),
+        blockedPhrases: resolveBlockedPhrases(settings.customBlockedPhrases || [], layers),
+        active: hasOverrides(character) || hasOverrides(chat),
+        sources: [hasOverrides(character) && 'character', hasOverrides(chat) && 'chat'].filter(Boolean)
+    };
 }
 
+// Helper to push protected span settings into Module A
+function applyProtectedSpans() {
+    const enabledTypes = settings.protectedSpanTypes || [];
+    const customPatterns = (settings.customProtectedPatterns || []).map((pattern, index) => ({
+        id: `custom_${index}`,
+        name: 'Custom',
+        pattern
+    }));
+
+    StaticFixer.setProtectedSpans([
+        ...DEFAULT_PROTECTED_SPANS.filter(span => enabledTypes.includes(span.id)),
+        ...customPatterns
+    ]);
+}
 
 // Save settings to storage
 function saveSettings() {
@@ -2290,6 +3936,17 @@ function applySettingsToUI() {
 
     // Missing fields found during debug
     $('#asf_fast_mode').prop('checked', settings.fastModeEnabled);
+    $('#asf_grammar_repair').prop('checked', settings.grammarRepairEnabled);
+    $('#asf_load_legacy_patterns').prop('checked', settings.loadLegacyPatterns);
+    $('#asf_link_st_regex').prop('checked', settings.linkSTRegexScripts);
+    $('.asf-protected-span').each(function () {
+        $(this).prop('checked', (settings.protectedSpanTypes || []).includes($(this).data('span')));
+    });
+    $('#asf_custom_protected_patterns').val((settings.customProtectedPatterns || []).join('\n'));
+    const pools = settings.alternativePools || {};
+    $('#asf_no_repeat_alternatives').prop('checked', settings.noRepeatAlternatives);
+    $('#asf_random_seed').val(settings.randomSeed || '');
+    $('#asf_alternative_pools').val(Object.keys(pools).length > 0 ? JSON.stringify(pools, null, 2) : '');
     $('#asf_quality_mode').prop('checked', settings.qualityModeEnabled);
     $('#asf_quality_interval').val(settings.qualityModeInterval);
     $('#asf_quality_manual').prop('checked', settings.qualityModeManualOnly);
@@ -2306,9 +3963,21 @@ function applySettingsToUI() {
     // Update Module B count
     const overusedPhrases = PassiveWatcher.getOverusedPhrases();
     $('#asf_module_b_count').text(overusedPhrases.length);
+    renderPatternList();
 
     // Render custom phrase list
     renderCustomPhraseList();
+    renderOverridesPanel();
+
+    // Global slop corpus
+    $('#asf_reference_scoring').prop('checked', settings.referenceScoring);
+    $('#asf_fuzzy_grouping').prop('checked', settings.fuzzyGrouping);
+    $('#asf_user_profile').prop('checked', settings.userProfileEnabled);
+    $('#asf_global_corpus_enabled').prop('checked', settings.globalCorpusEnabled);
+    $('#asf_global_corpus_half_life').val(settings.globalCorpusHalfLifeDays);
+    $('#asf_global_corpus_inject_count').val(settings.globalCorpusInjectCount);
+    renderGlobalCorpusList();
+    renderProseMetricsPanel();
 
     // Module D: Render dynamic rules and counts
     $('#asf_module_b_window').val(settings.moduleBAnalysisWindow || 20);
@@ -2329,6 +3998,9 @@ function registerSlashCommand() {
             console.log(`${LOG_PREFIX} Manually triggering fix for message ${lastMessageId}`);
             await processMessage(lastMessageId, true); // force manual mode
         }, [], 'Analyze and fix AI slop in the last message', true, true);
+
+        SillyTavern.registerSlashCommand('ruletests', () => runRuleTests(),
+            [], 'Run the examples attached to each Prose Guardian rule', true, true);
     }
 }
 
@@ -2383,13 +4055,8 @@ jQuery(async () => {
         ProactiveInjector.setInjectionMode('system');
         console.log(`${LOG_PREFIX} Module C (Proactive Injector) initialized`);
 
-        // Analyze existing chat history
-        const context = getContext();
-        if (context.chat && context.chat.length > 0) {
-            const results = PassiveWatcher.analyzeChatHistory(context.chat);
-            ProactiveInjector.updateOverusedPhrases(results.overusedPhrases);
-            console.log(`${LOG_PREFIX} Initial analysis: ${results.analyzed} messages, ${results.overusedPhrases.length} overused phrases`);
-        }
+        // Restore this chat's phrase statistics (or analyze its history the first time)
+        await bindWatcherState();
 
         console.log(`${LOG_PREFIX} ✓ All modules initialized successfully`);
 
@@ -2433,6 +4100,10 @@ jQuery(async () => {
 
     eventSource.on(event_types.CHAT_CHANGED, () => {
         messageCount = 0; // Reset counter on chat change
+        bindChoiceMemory(); // Each chat keeps its own no-repeat memory
+        bindWatcherState(); // ...and its own Module B phrase statistics
+        renderOverridesPanel(); // Overrides belong to the new character / chat
+        renderProseMetricsPanel();
         // Add buttons to all messages in new chat
         setTimeout(() => {
             addRefinementButtons();
@@ -2440,18 +4111,37 @@ jQuery(async () => {
     });
 
     // Add buttons when messages are updated (swipes, edits, etc.)
+    // Module B swaps the message's old contribution for its current text
     eventSource.on(event_types.MESSAGE_UPDATED, (mesId) => {
+        syncWatcherMessage(mesId);
         setTimeout(async () => {
             await addRefinementButtonToMessage(mesId);
         }, 250);
     });
 
     eventSource.on(event_types.MESSAGE_SWIPED, (mesId) => {
+        syncWatcherMessage(mesId);
         setTimeout(async () => {
             await addRefinementButtonToMessage(mesId);
         }, 250);
     });
 
+    // The user profile learns each message the user sends
+    eventSource.on(event_types.MESSAGE_SENT, (mesId) => {
+        syncWatcherMessage(mesId);
+    });
+
+    // Deleted messages stop counting for Module B (later messages shift to lower ids)
+    eventSource.on(event_types.MESSAGE_DELETED, () => {
+        if (!watcherChatId) return;
+        PassiveWatcherClient.reconcileMessages(getContext().chat || []);
+        if (settings.userProfileEnabled) {
+            UserProfile.watcher.reconcileMessages(getContext().chat || []);
+        }
+        saveWatcherState();
+        updateWatcherViews();
+    });
+
     // Prompt Injection Lifecycle
     eventSource.on(event_types.GENERATION_STARTED, async () => {
         if (settings.enablePromptInjection) {
@@ -2459,17 +4149,27 @@ jQuery(async () => {
             injectAntiSlopPrompt();
 
             // Module C - Dynamic proactive injection
-            // Get overused phrases from Module B
-            const overused = PassiveWatcher.getOverusedPhrases();
+            // Get overused phrases from Module B, topped up with the model's habits from other chats
+            const chatPhrases = PassiveWatcher.getOverusedPhrases();
+            const detected = getDetectedPhrases(settings.globalCorpusInjectCount);
+
+            // Don't ban phrasing the user uses themselves
+            let overused = detected;
+            if (settings.userProfileEnabled) {
+                const { kept, removed } = UserProfile.filterPhrases(detected);
+                removed.forEach(p => console.log(`${LOG_PREFIX} ⚠️ Skipping phrase the user uses: "${p.phrase}"`));
+                overused = kept;
+            }
 
-            // Get custom blocked phrases from user
+            // Get custom blocked phrases from user, with this character's / chat's overrides applied
             const context = getContext();
             const characterName = context.name2 || 'Character';
             const userName = context.name1 || 'User';
+            const overrides = resolveOverrides();
 
             // CRITICAL FIX: Filter out character names from custom phrases
             // Telling AI to "avoid character names" causes backfire effect!
-            const customPhrases = settings.customBlockedPhrases
+            const customPhrases = overrides.blockedPhrases
                 .filter(p => {
                     const phraseLower = p.phrase.toLowerCase();
                     const charLower = characterName.toLowerCase();
@@ -2494,15 +4194,17 @@ jQuery(async () => {
 
             // Combine both lists (Module B + filtered custom phrases)
             const allBlockedPhrases = [...overused, ...customPhrases];
+            const patterns = PassiveWatcher.getOverusedPatterns();
 
-            if (allBlockedPhrases.length > 0) {
+            if (allBlockedPhrases.length > 0 || patterns.length > 0) {
                 ProactiveInjector.updateOverusedPhrases(allBlockedPhrases);
+                ProactiveInjector.updateOverusedPatterns(patterns);
 
                 // Try to inject (will be added to prompt if phrases detected)
                 const injected = await ProactiveInjector.injectInstructions(context);
 
                 if (injected) {
-                    console.log(`${LOG_PREFIX} ✓ Module C: Proactive injection added (${overused.length} detected + ${customPhrases.length} custom = ${allBlockedPhrases.length} total phrases)`);
+                    console.log(`${LOG_PREFIX} ✓ Module C: Proactive injection added (${chatPhrases.length} detected + ${detected.length - chatPhrases.length} global - ${detected.length - overused.length} user's own + ${customPhrases.length} custom = ${allBlockedPhrases.length} total phrases, ${patterns.length} patterns)`);
                 } else {
                     console.log(`${LOG_PREFIX} Module C: Injection skipped (injection failed)`);
                 }
@@ -0,0 +1,151 @@
+/**
+ * Legacy Pattern Importer
+ * Used by Module A (Static Fixer) and Module D (AI Regex Generator)
+ *
+ * Converts the old slop-patterns.json schema
+ *   {name, regex, replacements: [...], category}
+ * into current rules {id, scriptName, findRegex, replaceString, scope, category}.
+ * An empty string in `replacements` becomes an empty alternative, i.e. the
+ * match is deleted (Static Fixer tidies the whitespace left behind).
+ */
+
+import { escapeAlternative } from './replacement-template.js';
+
+/**
+ * Check whether parsed JSON is a legacy pattern list
+ * @param {*} data - Parsed JSON
+ * @returns {Boolean} - True if every entry has regex + replacements
+ */
+export function isLegacyPatternList(data) {
+    return Array.isArray(data) && data.length > 0 &&
+        data.every(entry => entry && typeof entry.regex === 'string' && Array.isArray(entry.replacements));
+}
+
+/**
+ * Undo double escaping from older exports ("\\\\bword" -> "\\bword")
+ * Only applied when the pattern has no single-escaped tokens at all.
+ * @param {String} source - Regex source
+ * @returns {String} - Usable regex source
+ */
+export function normalizeLegacyRegex(source) {
+    const doubled = /\\\\[bBsSwWdD]/;
+    const single = /(^|[^\\])\\[bBsSwWdD]/;
+    if (doubled.test(source) && !single.test(source.replace(/\\\\/g, ''))) {
+        return source.replace(/\\\\/g, '\\');
+    }
+    return source;
+}
+
+/**
+ * Build a plain example phrase from a simple regex (first alternative of each group)
+ * @param {String} source - Regex source
+ * @returns {String|null} - Example text, or null if the pattern is too complex
+ */
+function sampleFromRegex(source) {
+    let sample = source
+        .replace(/\\b/g, '')
+        .replace(/\\s[+*]?/g, ' ')
+        .replace(/\(\?:/g, '(');
+
+    // Resolve innermost groups first
+    let previous;
+    do {
+        previous = sample;
+        sample = sample.replace(/\(([^()]*)\)\??/g, (_, body) => body.split('|')[0]);
+    } while (sample !== previous);
+
+    sample = sample.replace(/\\(['’-])/g, '$1');
+    if (/[\\[\]{}*+?.^$|()]/.test(sample)) return null;
+
+    return sample.replace(/\s+/g, ' ').trim() || null;
+}
+
+/**
+ * Check whether an existing rule already handles a legacy pattern
+ * @param {Object} rule - Converted legacy rule
+ * @param {Array} existingRules - Rules to compare against
+ * @returns {Object|null} - The existing rule it duplicates, if any
+ */
+function findDuplicate(rule, existingRules) {
+    const source = rule.findRegex.toLowerCase();
+    const name = rule.scriptName.toLowerCase();
+    const sample = sampleFromRegex(rule.findRegex);
+
+    return existingRules.find(existing => {
+        if (!existing || !existing.findRegex) return false;
+        if (existing.findRegex.toLowerCase() === source) return true;
+        if ((existing.scriptName || '').toLowerCase() === name) return true;
+        if (!sample) return false;
+
+        // The existing rule rewrites (most of) the phrase this pattern targets
+        try {
+            const match = new RegExp(existing.findRegex, 'i').exec(sample);
+            return match !== null && match[0].length >= sample.length / 2;
+        } catch (e) {
+            return false;
+        }
+    }) || null;
+}
+
+/**
+ * Convert a single legacy pattern
+ * @param {Object} pattern - {name, regex, replacements, category}
+ * @param {Number} index - Position in the legacy file (used for the ID)
+ * @returns {Object} - Rule in the current format
+ */
+export function convertLegacyPattern(pattern, index) {
+    const alternatives = pattern.replacements.map(text => escapeAlternative(String(text).trim()));
+    // Nothing but empty replacements: a plain deletion
+    const deletes = alternatives.every(text => text === '');
+
+    return {
+        id: `LEGACY_${String(index + 1).padStart(3, '0')}`,
+        scriptName: pattern.name || `Legacy Pattern ${index + 1}`,
+        findRegex: normalizeLegacyRegex(pattern.regex),
+        replaceString: deletes ? '' : `{{random:${alternatives.join(',')}}}`,
+        scope: 'all',
+        category: pattern.category || 'legacy',
+        disabled: false,
+        isLegacy: true
+    };
+}
+
+/**
+ * Convert a legacy pattern list, dropping invalid entries and duplicates
+ * @param {Array} patterns - Legacy pattern list
+ * @param {Array} existingRules - Rules already loaded (e.g. regex_rules.json)
+ * @returns {Object} - {rules, duplicates: [{name, existing}], invalid: [name]}
+ */
+export function convertLegacyPatterns(patterns, existingRules = []) {
+    const rules = [];
+    const duplicates = [];
+    const invalid = [];
+
+    (patterns || []).forEach((pattern, index) => {
+        if (!pattern || typeof pattern.regex !== 'string' || !Array.isArray(pattern.replacements)) {
+            invalid.push(pattern?.name || `#${index + 1}`);
+            return;
+        }
+
+        const rule = convertLegacyPattern(pattern, index);
+
+        try {
+            new RegExp(rule.findRegex);
+        } catch (e) {
+            console.warn(`[LegacyPatterns] Invalid regex in "${rule.scriptName}": ${e.message}`);
+            invalid.push(rule.scriptName);
+            return;
+        }
+
+        const duplicate = findDuplicate(rule, [...existingRules, ...rules]);
+        if (duplicate) {
+            duplicates.push({ name: rule.scriptName, existing: duplicate.scriptName });
+            return;
+        }
+
+        rules.push(rule);
+    });
+
+    console.log(`[LegacyPatterns] Converted ${rules.length} patterns (${duplicates.length} duplicates, ${invalid.length} invalid)`);
+    return { rules, duplicates, invalid };
+}
@@ -0,0 +1,218 @@
+/**
+ * Passive Watcher Client
+ * Used by Module B (Passive Watcher)
+ *
+ * Async front end for the Passive Watcher worker. Batch analysis of long chats
+ * runs in passive-watcher.worker.js and the resulting state is copied into the
+ * main-thread watcher, which stays the one every other module reads from.
+ * When workers are unavailable (or the worker fails) the same work runs on the
+ * main thread instead, so callers never need to know which path was taken.
+ */
+
+import PassiveWatcher from './passive-watcher.js';
+
+const LOG_PREFIX = '[PassiveWatcher]';
+
+// Batches smaller than this aren't worth a round trip to the worker
+const MIN_WORKER_BATCH = 10;
+// A request the worker hasn't answered by then is treated as a worker failure
+const REQUEST_TIMEOUT_MS = 30000;
+
+export class PassiveWatcherClient {
+    /**
+     * @param {PassiveWatcher} watcher - Main-thread watcher that owns the state
+     * @param {URL|String} workerUrl - Module worker script
+     */
+    constructor(watcher, workerUrl = new URL('./passive-watcher.worker.js', import.meta.url)) {
+        this.watcher = watcher;
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.unavailable = false;     // Set once the worker can't be used; everything runs inline
+        this.nextRequestId = 1;
+        this.pending = new Map();     // id -> {resolve, reject, timer}
+        this.batchesInFlight = 0;
+        this.queuedUpdates = [];      // Watcher updates that arrived while a batch was running
+    }
+
+    /**
+     * Check whether requests can go to the worker
+     * @returns {Boolean}
+     */
+    isWorkerAvailable() {
+        this.start();
+        return !!this.worker;
+    }
+
+    /**
+     * Start the worker (once). Falls back to main-thread mode if it can't be created.
+     */
+    start() {
+        if (this.worker || this.unavailable) return;
+
+        if (typeof Worker === 'undefined') {
+            this.unavailable = true;
+            console.log(`${LOG_PREFIX} Web Workers unavailable, analyzing on the main thread`);
+            return;
+        }
+
+        try {
+            this.worker = new Worker(this.workerUrl, { type: 'module' });
+            this.worker.onmessage = e => this.handleResponse(e.data);
+            this.worker.onerror = e => this.handleWorkerFailure(e.message || 'Worker failed to load');
+            console.log(`${LOG_PREFIX} Worker started`);
+        } catch (error) {
+            this.handleWorkerFailure(error.message);
+        }
+    }
+
+    /**
+     * Stop the worker and reject anything still waiting on it
+     * @param {String} reason - Why the worker is going away
+     */
+    stop(reason = 'Worker stopped') {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        for (const [id, request] of this.pending.entries()) {
+            clearTimeout(request.timer);
+            request.reject(new Error(reason));
+            this.pending.delete(id);
+        }
+    }
+
+    /**
+     * Give up on the worker for this session
+     * @param {String} reason - Error message
+     */
+    handleWorkerFailure(reason) {
+        console.warn(`${LOG_PREFIX} Worker unavailable (${reason}), analyzing on the main thread`);
+        this.unavailable = true;
+        this.stop(reason);
+    }
+
+    /**
+     * Resolve the request a worker reply belongs to
+     * @param {Object} message - {id, ok, result, error}
+     */
+    handleResponse(message) {
+        const request = this.pending.get(message?.id);
+        if (!request) return;
+
+        clearTimeout(request.timer);
+        this.pending.delete(message.id);
+
+        if (message.ok) {
+            request.resolve(message.result);
+        } else {
+            request.reject(new Error(message.error || 'Worker request failed'));
+        }
+    }
+
+    /**
+     * Send a request to the worker
+     * @param {String} type - Handler name in passive-watcher.worker.js
+     * @param {Object} data - Request payload (must be structured-clone safe)
+     * @returns {Promise<*>} - The handler's result
+     */
+    request(type, data = {}) {
+        if (!this.isWorkerAvailable()) {
+            return Promise.reject(new Error('Worker unavailable'));
+        }
+
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.handleWorkerFailure(`"${type}" timed out`);
+            }, REQUEST_TIMEOUT_MS);
+
+            this.pending.set(id, { resolve, reject, timer });
+            this.worker.postMessage({ id, type, data });
+        });
+    }
+
+    /**
+     * Apply an update to the main-thread watcher now, or after the running batch
+     * (the batch result replaces the watcher's state, which would drop the update)
+     * @param {Function} update - Receives the watcher
+     */
+    applyUpdate(update) {
+        if (this.batchesInFlight > 0) {
+            this.queuedUpdates.push(update);
+            return;
+        }
+        update(this.watcher);
+    }
+
+    /**
+     * Analyze a single message on the main thread (cheap; keeps the watcher current)
+     * @param {String} text - Message text
+     * @param {Object} source - {messageId, swipeId} so the message can be retracted later (optional)
+     */
+    analyzeMessage(text, source = null) {
+        this.applyUpdate(watcher => watcher.analyzeMessage(text, source));
+    }
+
+    /**
+     * Re-sync one message after a swipe or edit (see PassiveWatcher.syncMessage)
+     * @param {Number} messageId - Message id
+     * @param {Number} swipeId - Swipe index currently shown
+     * @param {String} text - Current text
+     */
+    syncMessage(messageId, swipeId, text) {
+        this.applyUpdate(watcher => watcher.syncMessage(messageId, swipeId, text));
+    }
+
+    /**
+     * Re-match contributions after deletions (see PassiveWatcher.reconcileMessages)
+     * @param {Array} messages - Current chat messages
+     */
+    reconcileMessages(messages) {
+        this.applyUpdate(watcher => watcher.reconcileMessages(messages));
+    }
+
+    /**
+     * Analyze chat history off the main thread when possible
+     * Same result as PassiveWatcher.analyzeChatHistory(); the watcher's state is replaced.
+     * @param {Array} messages - Chat messages ({is_user, mes})
+     * @returns {Promise<Object>} - {analyzed, overusedPhrases, stats}
+     */
+    async analyzeChatHistory(messages) {
+        // Only the fields the watcher reads; chat messages carry far more than needs cloning
+        const batch = (messages || [])
+            .map((msg, id) => ({ msg, id }))
+            .filter(({ msg }) => this.watcher.isTrackedMessage(msg) && msg.mes)
+            .slice(-this.watcher.settings.messagesToAnalyze)
+            .map(({ msg, id }) => ({ is_user: !!msg.is_user, mes: msg.mes, id, swipe_id: msg.swipe_id ?? 0 }));
+
+        this.batchesInFlight++;
+        try {
+            if (batch.length >= MIN_WORKER_BATCH && this.isWorkerAvailable()) {
+                try {
+                    const { results, state } = await this.request('analyzeBatch', {
+                        messages: batch,
+                        settings: { ...this.watcher.settings },
+                        scoring: this.watcher.getScoringContext()
+                    });
+                    const texts = new Map(batch.map(message => [message.id, message.mes]));
+                    this.watcher.importState(state, messageId => texts.get(messageId));
+                    return results;
+                } catch (error) {
+                    console.warn(`${LOG_PREFIX} Worker batch failed, retrying on the main thread:`, error.message);
+                }
+            }
+
+            return this.watcher.analyzeChatHistory(batch);
+        } finally {
+            this.batchesInFlight--;
+            if (this.batchesInFlight === 0) {
+                const queued = this.queuedUpdates.splice(0);
+                queued.forEach(update => update(this.watcher));
+            }
+        }
+    }
+}
+
+// Export default instance
+export default new PassiveWatcherClient(PassiveWatcher);
@@ -4,6 +4,7 @@
  */
 
 import PassiveWatcher from './passive-watcher.js';
+import PassiveWatcherClient from './passive-watcher-client.js';
 
 // ============================================================================
 // EXAMPLE 1: Basic Usage (Main Thread)
@@ -52,103 +53,21 @@ eventSource.on(event_types.MESSAGE_RECEIVED, (messageId) => {
 // EXAMPLE 3: Web Worker Usage (Recommended for large chats)
 // ============================================================================
 
-class PassiveWatcherManager {
-    constructor() {
-        this.worker = null;
-        this.ready = false;
-    }
-
-    async init(settings = {}) {
-        return new Promise((resolve, reject) => {
-            this.worker = new Worker('scripts/extensions/third-party/AI-SlopFixer/passive-watcher.worker.js');
-
-            this.worker.onmessage = (e) => {
-                const { type, data, results, phrases, stats, error } = e.data;
-
-                switch (type) {
-                    case 'ready':
-                        this.ready = true;
-                        resolve();
-                        break;
-
-                    case 'batchComplete':
-                        console.log('[Worker] Batch analysis complete:', results);
-                        break;
-
-                    case 'overusedPhrases':
-                        console.log('[Worker] Overused phrases:', phrases);
-                        // Trigger Module C injection here
-                        this.triggerProactiveInjection(phrases);
-                        break;
-
-                    case 'error':
-                        console.error('[Worker] Error:', error);
-                        reject(error);
-                        break;
-                }
-            };
-
-            this.worker.onerror = (error) => {
-                console.error('[Worker] Fatal error:', error);
-                reject(error);
-            };
-
-            // Initialize worker
-            this.worker.postMessage({
-                type: 'init',
-                data: { settings }
-            });
-        });
-    }
-
-    analyzeBatch(messages) {
-        if (!this.ready) {
-            console.warn('[Worker] Not ready yet');
-            return;
-        }
-
-        this.worker.postMessage({
-            type: 'analyzeBatch',
-            data: { messages }
-        });
-    }
-
-    getOverusedPhrases(minScore = 5.0) {
-        if (!this.ready) return;
-
-        this.worker.postMessage({
-            type: 'getOverusedPhrases',
-            data: { minScore }
-        });
-    }
+// PassiveWatcherClient runs the batch in passive-watcher.worker.js (a module
+// worker) and copies the result into the main-thread PassiveWatcher, falling
+// back to the main thread when workers are unavailable.
 
-    triggerProactiveInjection(phrases) {
-        // This is the bridge to Module C
-        if (phrases.length > 0) {
-            console.log('[PassiveWatcher] Detected overused phrases, triggering proactive injection');
-            // Will be implemented in Module C
-        }
-    }
-
-    reset() {
-        if (this.ready) {
-            this.worker.postMessage({ type: 'reset' });
-        }
-    }
+async function analyzeLongChat() {
+    const context = getContext();
+    const results = await PassiveWatcherClient.analyzeChatHistory(context.chat);
 
-    terminate() {
-        if (this.worker) {
-            this.worker.terminate();
-            this.worker = null;
-            this.ready = false;
-        }
-    }
+    // Same shape as PassiveWatcher.analyzeChatHistory(); the sync getters are up to date too
+    console.log('Analysis Results:', results);
+    console.log('Overused Phrases:', PassiveWatcher.getOverusedPhrases());
 }
 
-// Usage:
-const watcherManager = new PassiveWatcherManager();
-await watcherManager.init({ slopThreshold: 5.0, messagesToAnalyze: 20 });
-watcherManager.analyzeBatch(context.chat);
+// Raw requests are correlated by id: {id, type, data} -> {id, ok, result | error}
+const stats = await PassiveWatcherClient.request('getStats');
 
 // ============================================================================
 // EXAMPLE 4: UI Integration - Display Overused Phrases
@@ -284,7 +203,7 @@ function setupCustomWhitelist() {
 
 export {
     setupPassiveWatcher,
-    PassiveWatcherManager,
+    analyzeLongChat,
     updateOverusedPhrasesUI,
     processMessageWithBothModules,
     benchmarkPassiveWatcher,
@@ -2,10 +2,27 @@
  * MODULE B: Passive Watcher (Background N-Gram Analysis)
  * Ported from ProsePolisher for AI-SlopFixer
  * 
- * Detects repetitive writing patterns without API calls using Web Workers
- * for off-main-thread processing.
+ * Detects repetitive writing patterns without API calls. Batch analysis of
+ * long chats runs off the main thread (see passive-watcher-client.js).
+ * Structural patterns (sentence templates and shapes) are tracked alongside
+ * the n-grams by pattern-detector.js.
  */
 
+import { getProtectedSpanPatterns, stripProtectedSpans } from './text-tokenizer.js';
+import { PhraseWeighter } from './phrase-weights.js';
+import { createNormalizer } from './phrase-normalizer.js';
+import { PatternDetector } from './pattern-detector.js';
+
+// Surface variants remembered per template (the first ones seen win)
+const MAX_VARIANTS = 8;
+// Serialized state format (3: n-grams keyed by template, contributions stored as text hashes)
+const STATE_VERSION = 3;
+// A shorter n-gram is folded into a longer one that contains it if the longer one
+// accounts for at least this share of its sightings (otherwise it also occurs on its own)
+const CONTAINMENT_RATIO = 0.6;
+// Messages whose contribution is remembered so swipes, edits and deletions can retract it
+const MAX_CONTRIBUTIONS = 50;
+
 // common-words.js - List of words to ignore during analysis
 export const COMMON_WORDS = new Set([
     'the', 'of', 'to', 'and', 'a', 'in', 'is', 'it', 'you', 'that', 'he', 'was', 'for', 'on', 'are', 'with', 'as', 'I',
@@ -17,6 +34,19 @@ export const COMMON_WORDS = new Set([
     // ... (truncated for brevity - full list in source)
 ]);
 
+/**
+ * Hash message text (FNV-1a) so saved contributions can be matched to the chat without copying it
+ * @param {String} text - Message text
+ * @returns {String} - 8-digit hex hash
+ */
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
 export class PassiveWatcher {
     constructor(options = {}) {
         this.settings = {
@@ -26,6 +56,9 @@ export class PassiveWatcher {
             pruningCycle: 20,
             patternMinCommon: 2,
             messagesToAnalyze: options.analysisWindow || 20, // Customizable!
+            fuzzyGrouping: true, // Count templates ("{their} breath hitch") instead of exact text
+            names: [], // Character / user names folded into {name}
+            messageRole: 'ai', // Whose messages chat history analysis reads ('ai' or 'user', see user-profile.js)
             ...options
         };
 
@@ -34,8 +67,81 @@ export class PassiveWatcher {
         this.totalMessagesProcessed = 0;
         this.enabled = true;
 
+        // Message id -> {swipeId, text, ngrams, context} of what each recent message contributed.
+        // `ngrams` are the exact increments added; `context` keys the names and story terms
+        // they were computed with, so saved contributions can be recomputed the same way.
+        this.contributions = new Map();
+        this.contexts = new Map(); // Context key -> {names, scored, storyTerms}
+        this.lastReference = null; // Reference table of the latest scoring context
+
         // Whitelist = common words to ignore
         this.whitelist = new Set([...COMMON_WORDS]);
+
+        // Reference / story baselines for scoring (neutral until a context is set)
+        this.weighter = new PhraseWeighter();
+
+        // Structural patterns ("It's not X, it's Y", zinger endings, repeated sentence shapes)
+        this.patterns = new PatternDetector();
+    }
+
+    /**
+     * Check whether a chat message is one this watcher learns from
+     * @param {Object} message - Chat message ({is_user})
+     * @returns {Boolean}
+     */
+    isTrackedMessage(message) {
+        return !!message && !!message.is_user === (this.settings.messageRole === 'user');
+    }
+
+    /**
+     * Set the names folded into {name} / {their} by fuzzy grouping
+     * @param {Array} names - e.g. context name1 and name2
+     */
+    setNames(names) {
+        this.settings.names = (names || []).filter(Boolean);
+    }
+
+    /**
+     * Get the word -> template key function for the current settings
+     * Rebuilt only when the names change (settings may be replaced wholesale, e.g. in the worker).
+     * @returns {Function}
+     */
+    getNormalizer() {
+        if (!this.settings.fuzzyGrouping) return word => word;
+
+        const key = (this.settings.names || []).join('\n');
+        if (!this.normalizer || this.normalizerKey !== key) {
+            this.normalizer = createNormalizer(this.settings.names || []);
+            this.normalizerKey = key;
+        }
+        return this.normalizer;
+    }
+
+    /**
+     * Turn a phrase into the template it is counted under
+     * @param {String} phrase - Lowercase, space-separated phrase
+     * @returns {String} - Template
+     */
+    toTemplate(phrase) {
+        const normalize = this.getNormalizer();
+        return phrase.split(' ').map(word => normalize(word)).join(' ');
+    }
+
+    /**
+     * Set the baselines n-grams are scored against
+     * @param {Object|null} context - {reference, storyTerms} (see phrase-weights.js), null for raw counts
+     */
+    setScoringContext(context) {
+        this.weighter.setContext(context);
+        if (context?.reference) this.lastReference = context.reference;
+    }
+
+    /**
+     * Get the current scoring baselines
+     * @returns {Object|null}
+     */
+    getScoringContext() {
+        return this.weighter.getContext();
     }
 
     /**
@@ -48,11 +154,8 @@ export class PassiveWatcher {
 
         let clean = text;
 
-        // Remove code blocks
-        clean = clean.replace(/(?:```|~~~)\w*\s*[\s\S]*?(?:```|~~~)/g, ' ');
-
-        // Remove HTML tags
-        clean = clean.replace(/<[^>]*>/g, ' ');
+        // Remove code blocks and HTML tags (shared with Module A's protected spans)
+        clean = stripProtectedSpans(clean, getProtectedSpanPatterns(['code_block', 'html_tag']));
 
         // Remove markdown formatting
         clean = clean.replace(/(?:\*|_|~|`)+(.+?)(?:\*|_|~|`)+/g, '$1');
@@ -102,75 +205,220 @@ export class PassiveWatcher {
     }
 
     /**
-     * Analyze a single message and track phrase frequency
+     * Split a message into cleaned paragraphs, the way structural patterns are detected
      * @param {String} text - Message text
+     * @returns {Array} - Paragraph texts (markup stripped, punctuation kept)
      */
-    analyzeMessage(text) {
-        if (!text || !this.enabled) return;
+    splitParagraphs(text) {
+        if (!text) return [];
+
+        // Code blocks can span paragraphs, so they go before splitting
+        const withoutCode = stripProtectedSpans(text, getProtectedSpanPatterns(['code_block']));
+        return withoutCode
+            .split(/\n+/)
+            .map(paragraph => this.stripMarkup(paragraph))
+            .filter(Boolean);
+    }
 
+    /**
+     * Find the structural patterns in a message without recording them
+     * @param {String} text - Message text
+     * @returns {Array} - [{id, kind, name, instruction, example}] one entry per pattern found
+     */
+    findPatternsIn(text) {
+        const found = new Map();
+        // Skeletons are only worth mentioning once they repeat
+        const repeated = new Set(this.patterns.getOverusedPatterns(0).map(pattern => pattern.id));
+
+        this.patterns.detect(this.splitParagraphs(text)).forEach(({ id, example }) => {
+            if (found.has(id)) return;
+            if (id.startsWith('skeleton:') && !repeated.has(id)) return;
+            const { examples, score, count, ...pattern } = this.patterns.describe(id, this.patterns.patterns.get(id) || {});
+            found.set(id, { ...pattern, example });
+        });
+        return [...found.values()];
+    }
+
+    /**
+     * Split a message into sentences of lowercase words, the way n-grams are counted
+     * @param {String} text - Message text
+     * @returns {Array} - Array of word arrays, one per sentence
+     */
+    tokenizeSentences(text) {
         const cleanText = this.stripMarkup(text);
-        if (!cleanText.trim()) return;
+        if (!cleanText.trim()) return [];
 
         // Split into sentences
         const sentences = cleanText.match(/[^.!?]+[.!?]+["]?/g) || [cleanText];
 
-        for (const sentence of sentences) {
-            if (!sentence.trim()) continue;
-
+        return sentences
+            .filter(sentence => sentence.trim())
             // Tokenize: remove punctuation, lowercase, split
-            const words = sentence
+            .map(sentence => sentence
                 .replace(/[.,!?]/g, '')
                 .toLowerCase()
                 .split(/\s+/)
-                .filter(Boolean);
+                .filter(Boolean));
+    }
+
+    /**
+     * Find which tracked phrases occur in a message (any surface variant of their template)
+     * @param {String} text - Message text
+     * @param {Array} phrases - Phrases as reported by getOverusedPhrases() ({phrase, template} objects or strings)
+     * @returns {Array} - The phrases (same items) that occur in the text
+     */
+    findPhrasesIn(text, phrases) {
+        if (!text || !phrases || phrases.length === 0) return [];
+
+        const sentences = this.tokenizeSentences(text).map(words => ` ${this.toTemplate(words.join(' '))} `);
+        return phrases.filter(item => {
+            const template = typeof item === 'string' ? this.toTemplate(item) : (item.template || this.toTemplate(item.phrase));
+            return sentences.some(sentence => sentence.includes(` ${template} `));
+        });
+    }
+
+    /**
+     * Remember the names and story terms n-grams are counted with right now
+     * @returns {String} - Key into this.contexts
+     */
+    rememberContext() {
+        const scoring = this.weighter.getContext();
+        const context = {
+            names: this.settings.fuzzyGrouping ? [...(this.settings.names || [])] : [],
+            scored: !!scoring,
+            storyTerms: scoring?.storyTerms || []
+        };
+        const key = hashText(JSON.stringify(context));
+        if (!this.contexts.has(key)) this.contexts.set(key, context);
+        return key;
+    }
+
+    /**
+     * Collect the n-grams a message contributes, with their score increments
+     * @param {String} text - Message text
+     * @param {Object} context - Names and story terms to use instead of the current ones (optional, see rememberContext())
+     * @returns {Array} - [{template, ngram, increment}] one entry per occurrence
+     */
+    collectNgrams(text, context = null) {
+        const collected = [];
+        const sentences = this.tokenizeSentences(text);
+        let normalize = this.getNormalizer();
+        let weighter = this.weighter;
+
+        if (context) {
+            if (this.settings.fuzzyGrouping) normalize = createNormalizer(context.names || []);
+            weighter = new PhraseWeighter();
+            // The reference table is bundled, so the latest one is the one it was scored with
+            const reference = this.weighter.getContext()?.reference || this.lastReference;
+            if (context.scored && reference) {
+                weighter.setContext({ reference, storyTerms: context.storyTerms || [] });
+            }
+        }
+
+        for (const words of sentences) {
+            // Template keys: pronouns, names and inflections folded together
+            const keys = words.map(word => normalize(word));
 
             // Generate n-grams from 3 to 7 words
             for (let n = this.settings.ngramMin; n <= this.settings.ngramMax; n++) {
                 if (words.length < n) continue;
 
                 const ngrams = this.generateNgrams(words, n);
+                const templates = this.generateNgrams(keys, n);
 
-                for (const ngram of ngrams) {
+                ngrams.forEach((ngram, index) => {
                     // Skip if low quality
-                    if (this.isPhraseLowQuality(ngram)) continue;
-
-                    // Track frequency
-                    const currentData = this.ngramFrequencies.get(ngram) || {
-                        count: 0,
-                        score: 0,
-                        lastSeen: this.totalMessagesProcessed
-                    };
+                    if (this.isPhraseLowQuality(ngram)) return;
 
                     // Calculate score increment
-                    let scoreIncrement = 1.0;
+                    let increment = 1.0;
 
                     // Bonus for longer phrases
-                    scoreIncrement += (n - this.settings.ngramMin) * 0.2;
+                    increment += (n - this.settings.ngramMin) * 0.2;
 
                     // Bonus for uncommon words
                     const uncommonWordCount = ngram.split(' ').reduce((count, word) => {
                         return count + (this.whitelist.has(word) ? 0 : 1);
                     }, 0);
-                    scoreIncrement += uncommonWordCount * 0.5;
-
-                    const newCount = currentData.count + 1;
-                    const newScore = currentData.score + scoreIncrement;
-
-                    this.ngramFrequencies.set(ngram, {
-                        count: newCount,
-                        score: newScore,
-                        lastSeen: this.totalMessagesProcessed
-                    });
-
-                    // Add to slop candidates if threshold reached
-                    if (newScore >= this.settings.slopThreshold &&
-                        currentData.score < this.settings.slopThreshold) {
-                        this.slopCandidates.add(ngram);
-                    }
-                }
+                    increment += uncommonWordCount * 0.5;
+
+                    // Expected in this story -> less, generic AI tic -> more
+                    increment *= weighter.weigh(ngram);
+
+                    collected.push({ template: templates[index], ngram, increment });
+                });
             }
         }
 
+        return collected;
+    }
+
+    /**
+     * Analyze a single message and track phrase frequency
+     * With a source, the contribution is remembered per message id so a later swipe,
+     * edit or deletion can retract it (re-analyzing a message id replaces its contribution
+     * and doesn't count as another message).
+     * @param {String} text - Message text
+     * @param {Object} source - {messageId, swipeId} (optional)
+     */
+    analyzeMessage(text, source = null) {
+        if (!this.enabled) return;
+
+        const previous = source ? this.contributions.get(source.messageId) : null;
+        if (previous) {
+            this.contributions.delete(source.messageId);
+            this.retractContribution(previous);
+        }
+        if (!text || !this.stripMarkup(text).trim()) {
+            // The message no longer contributes anything
+            if (previous) this.uncountMessage();
+            return;
+        }
+
+        const collected = this.collectNgrams(text);
+        collected.forEach(({ template, ngram, increment }) => {
+            // Track frequency under the template, remembering how it was written
+            const currentData = this.ngramFrequencies.get(template) || {
+                count: 0,
+                score: 0,
+                lastSeen: this.totalMessagesProcessed,
+                variants: {}
+            };
+            const variants = currentData.variants || {};
+            if (variants[ngram] || Object.keys(variants).length < MAX_VARIANTS) {
+                variants[ngram] = (variants[ngram] || 0) + 1;
+            }
+
+            const newCount = currentData.count + 1;
+            const newScore = currentData.score + increment;
+
+            this.ngramFrequencies.set(template, {
+                count: newCount,
+                score: newScore,
+                lastSeen: this.totalMessagesProcessed,
+                variants
+            });
+
+            // Add to slop candidates if threshold reached
+            if (newScore >= this.settings.slopThreshold &&
+                currentData.score < this.settings.slopThreshold) {
+                this.slopCandidates.add(template);
+            }
+        });
+
+        this.patterns.analyzeMessage(this.splitParagraphs(text), this.totalMessagesProcessed, this.settings.slopThreshold);
+
+        if (source) {
+            this.contributions.set(source.messageId, {
+                swipeId: source.swipeId ?? 0,
+                text,
+                ngrams: collected,
+                context: this.rememberContext()
+            });
+            this.trimContributions();
+        }
+        if (previous) return;
+
         this.totalMessagesProcessed++;
 
         // Periodic pruning
@@ -179,6 +427,121 @@ export class PassiveWatcher {
         }
     }
 
+    /**
+     * Take a message whose contribution was retracted out of the message count
+     */
+    uncountMessage() {
+        this.totalMessagesProcessed = Math.max(0, this.totalMessagesProcessed - 1);
+    }
+
+    /**
+     * Take back what a message contributed (swiped away, edited or deleted)
+     * @param {Number} messageId - Message id the contribution was recorded under
+     * @returns {Boolean} - False if nothing was recorded for that id
+     */
+    retractMessage(messageId) {
+        const contribution = this.contributions.get(messageId);
+        if (!contribution) return false;
+
+        this.contributions.delete(messageId);
+        this.retractContribution(contribution);
+        this.uncountMessage();
+        return true;
+    }
+
+    /**
+     * Subtract a recorded contribution from the tracking data
+     * Uses the increments recorded when it was added; a restored contribution is
+     * recomputed with the names and story terms it was counted with.
+     * @param {Object} contribution - {swipeId, text, ngrams, context}
+     */
+    retractContribution(contribution) {
+        const ngrams = contribution.ngrams ||
+            this.collectNgrams(contribution.text, this.contexts.get(contribution.context) || null);
+        ngrams.forEach(({ template, ngram, increment }) => {
+            const data = this.ngramFrequencies.get(template);
+            if (!data) return; // Pruned since
+
+            data.count--;
+            // Pruning may have decayed the score below what this message added
+            data.score = Math.max(0, data.score - increment);
+            if (data.variants?.[ngram] !== undefined && --data.variants[ngram] <= 0) {
+                delete data.variants[ngram];
+            }
+
+            if (data.count <= 0) {
+                this.ngramFrequencies.delete(template);
+                this.slopCandidates.delete(template);
+            } else if (data.score < this.settings.slopThreshold) {
+                this.slopCandidates.delete(template);
+            }
+        });
+
+        this.patterns.retractMessage(this.splitParagraphs(contribution.text));
+    }
+
+    /**
+     * Bring one message's contribution in line with the text it shows now
+     * @param {Number} messageId - Message id
+     * @param {Number} swipeId - Swipe index currently shown
+     * @param {String} text - Current text (empty while a swipe is generating)
+     * @returns {Boolean} - True if the tracking data changed
+     */
+    syncMessage(messageId, swipeId, text) {
+        const contribution = this.contributions.get(messageId);
+        if (contribution && contribution.swipeId === (swipeId ?? 0) && contribution.text === text) return false;
+        if (!text) return this.retractMessage(messageId);
+
+        this.analyzeMessage(text, { messageId, swipeId });
+        return true;
+    }
+
+    /**
+     * Match recorded contributions against the chat after messages were deleted
+     * Deleting shifts the ids of every later message, so contributions whose text
+     * moved are re-keyed; ones whose text is gone are retracted.
+     * @param {Array} messages - Current chat messages ({is_user, mes, swipe_id}), index = message id
+     * @returns {Number} - Number of contributions retracted
+     */
+    reconcileMessages(messages) {
+        const isMatch = (message, contribution) => this.isTrackedMessage(message) && message.mes === contribution.text;
+        const stale = [...this.contributions.entries()]
+            .filter(([messageId, contribution]) => !isMatch(messages[messageId], contribution));
+        if (stale.length === 0) return 0;
+
+        stale.forEach(([messageId]) => this.contributions.delete(messageId));
+
+        let retracted = 0;
+        stale.forEach(([messageId, contribution]) => {
+            // Deletions only move messages to lower ids
+            const newId = messages.findIndex((message, index) =>
+                index <= messageId && !this.contributions.has(index) && isMatch(message, contribution));
+
+            if (newId !== -1) {
+                this.contributions.set(newId, { ...contribution, swipeId: messages[newId].swipe_id ?? contribution.swipeId });
+            } else {
+                this.retractContribution(contribution);
+                this.uncountMessage();
+                retracted++;
+            }
+        });
+
+        return retracted;
+    }
+
+    /**
+     * Forget the oldest contributions beyond MAX_CONTRIBUTIONS (they can no longer be retracted)
+     */
+    trimContributions() {
+        if (this.contributions.size <= MAX_CONTRIBUTIONS) return;
+
+        const ids = [...this.contributions.keys()].sort((a, b) => a - b);
+        ids.slice(0, ids.length - MAX_CONTRIBUTIONS).forEach(id => this.contributions.delete(id));
+
+        const used = new Set([...this.contributions.values()].map(contribution => contribution.context));
+        [...this.contexts.keys()].filter(key => !used.has(key)).forEach(key => this.contexts.delete(key));
+    }
+
     /**
      * Prune old/low-score n-grams
      */
@@ -200,35 +563,169 @@ export class PassiveWatcher {
             }
         }
 
-        if (prunedCount > 0) {
-            console.log(`[PassiveWatcher] Pruned ${prunedCount} old n-grams`);
+        const prunedPatterns = this.patterns.prune(this.totalMessagesProcessed, this.settings.pruningCycle, this.settings.slopThreshold);
+
+        if (prunedCount > 0 || prunedPatterns.length > 0) {
+            console.log(`[PassiveWatcher] Pruned ${prunedCount} old n-grams and ${prunedPatterns.length} patterns`);
         }
     }
 
     /**
      * Get overused phrases (for Module C injection)
+     * `phrase` is the most common way the template was written; `variants` lists them all.
+     * Overlapping n-grams of one repeated fragment ("a shiver ran", "shiver ran down", ...)
+     * are collapsed into the longest phrase unless `collapse` is false.
      * @param {Number} minScore - Minimum score threshold
-     * @returns {Array} - Array of {phrase, score, count}
+     * @param {Object} options - {collapse} (optional)
+     * @returns {Array} - Array of {phrase, template, variants, score, count, subsumed}
      */
-    getOverusedPhrases(minScore = 5.0) {
-        const overused = [];
+    getOverusedPhrases(minScore = 5.0, { collapse = true } = {}) {
+        const candidates = [];
 
-        for (const [phrase, data] of this.ngramFrequencies.entries()) {
+        for (const [template, data] of this.ngramFrequencies.entries()) {
             if (data.score >= minScore) {
-                overused.push({
-                    phrase,
-                    score: data.score,
-                    count: data.count
-                });
+                candidates.push(template);
             }
         }
 
+        const overused = collapse
+            ? this.collapseOverlaps(candidates)
+            : candidates.map(template => this.describePhrase(template, [template]));
+
         // Sort by score descending
         overused.sort((a, b) => b.score - a.score);
 
         return overused;
     }
 
+    /**
+     * Build the reported entry for a tracked template
+     * @param {String} template - Tracked template (the representative)
+     * @param {Array} members - Templates folded into it
+     *                          (they come from the same sightings, so the best score counts, not the sum)
+     * @returns {Object} - {phrase, template, variants, score, count, subsumed}
+     */
+    describePhrase(template, members) {
+        const data = this.ngramFrequencies.get(template);
+        const variants = Object.entries(data.variants || {})
+            .sort((a, b) => b[1] - a[1])
+            .map(([variant]) => variant);
+        const scored = members.includes(template) ? members : [template, ...members];
+
+        return {
+            phrase: variants[0] || template,
+            template,
+            variants: variants.length > 0 ? variants : [template],
+            score: Math.max(...scored.map(member => this.ngramFrequencies.get(member).score)),
+            count: data.count,
+            subsumed: scored.length - 1
+        };
+    }
+
+    /**
+     * Merge overlapping and contained n-grams into maximal phrases
+     * Each template climbs to the longest tracked n-gram that contains it (one word
+     * at a time, while the longer one covers most of its sightings). Representatives
+     * of ngramMax words that overlap by all but one word are then stitched together,
+     * so fragments longer than ngramMax come back as one phrase.
+     * @param {Array} templates - Templates to report
+     * @returns {Array} - Entries as from describePhrase(), one per maximal phrase
+     */
+    collapseOverlaps(templates) {
+        if (templates.length === 0) return [];
+
+        // template -> tracked templates one word longer that contain it
+        const parents = new Map();
+        for (const template of this.ngramFrequencies.keys()) {
+            const words = template.split(' ');
+            if (words.length <= this.settings.ngramMin) continue;
+            [words.slice(1).join(' '), words.slice(0, -1).join(' ')].forEach(child => {
+                if (!parents.has(child)) parents.set(child, []);
+                parents.get(child).push(template);
+            });
+        }
+
+        const findRoot = template => {
+            let current = template;
+            for (;;) {
+                const count = this.ngramFrequencies.get(current).count;
+                const best = (parents.get(current) || [])
+                    .filter(parent => this.ngramFrequencies.get(parent).count >= count * CONTAINMENT_RATIO)
+                    .sort((a, b) => this.ngramFrequencies.get(b).score - this.ngramFrequencies.get(a).score)[0];
+                if (!best) return current;
+                current = best;
+            }
+        };
+
+        // root -> templates folded into it
+        const groups = new Map();
+        templates.forEach(template => {
+            const root = findRoot(template);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(template);
+        });
+
+        // Stitch maximal-length roots that continue each other ("w1..w7" + "w2..w8")
+        const roots = [...groups.keys()];
+        const overlapOf = (root, fromEnd) => {
+            const words = root.split(' ');
+            return (fromEnd ? words.slice(1) : words.slice(0, -1)).join(' ');
+        };
+        const isMaxLength = root => root.split(' ').length >= this.settings.ngramMax;
+        const byPrefix = new Map(roots.filter(isMaxLength).map(root => [overlapOf(root, false), root]));
+        const next = new Map();
+        roots.filter(isMaxLength).forEach(root => {
+            const following = byPrefix.get(overlapOf(root, true));
+            if (!following || following === root) return;
+            const counts = [this.ngramFrequencies.get(root).count, this.ngramFrequencies.get(following).count];
+            if (Math.min(...counts) >= Math.max(...counts) * CONTAINMENT_RATIO) next.set(root, following);
+        });
+        const hasPrevious = new Set(next.values());
+
+        const entries = [];
+        const visited = new Set();
+        const emitChain = start => {
+            const chain = [];
+            for (let root = start; root && !visited.has(root); root = next.get(root)) {
+                visited.add(root);
+                chain.push(root);
+            }
+
+            const parts = chain.map(root => this.describePhrase(root, groups.get(root)));
+            if (parts.length === 1) {
+                entries.push(parts[0]);
+                return;
+            }
+
+            // Each following window adds its last word
+            const join = key => parts.map((part, index) => index === 0 ? part[key] : part[key].split(' ').pop()).join(' ');
+            const phrase = join('phrase');
+            entries.push({
+                phrase,
+                template: join('template'),
+                variants: [phrase],
+                score: Math.max(...parts.map(part => part.score)),
+                count: Math.min(...parts.map(part => part.count)),
+                subsumed: parts.reduce((sum, part) => sum + part.subsumed + 1, 0) - 1
+            });
+        };
+
+        roots.filter(root => !hasPrevious.has(root)).forEach(emitChain);
+        // Anything left is part of a cycle; report it from wherever it starts
+        roots.filter(root => !visited.has(root)).forEach(emitChain);
+
+        return entries;
+    }
+
+    /**
+     * Get overused structural patterns (for Module C injection and diagnostics)
+     * @param {Number} minScore - Minimum score threshold
+     * @returns {Array} - Array of {id, kind, name, instruction, examples, score, count}
+     */
+    getOverusedPatterns(minScore = this.settings.slopThreshold) {
+        return this.patterns.getOverusedPatterns(minScore);
+    }
+
     /**
      * Get statistics about tracked phrases
      * @returns {Object} - Statistics object
@@ -236,6 +733,7 @@ export class PassiveWatcher {
     getStats() {
         return {
             totalPhrases: this.ngramFrequencies.size,
+            totalPatterns: this.patterns.patterns.size,
             slopCandidates: this.slopCandidates.size,
             messagesProcessed: this.totalMessagesProcessed,
             topPhrases: this.getOverusedPhrases().slice(0, 10)
@@ -248,9 +746,83 @@ export class PassiveWatcher {
     reset() {
         this.ngramFrequencies.clear();
         this.slopCandidates.clear();
+        this.patterns.reset();
+        this.contributions.clear();
+        this.contexts.clear();
         this.totalMessagesProcessed = 0;
     }
 
+    /**
+     * Serialize the tracking data (plain JSON, safe to postMessage or store)
+     * @param {Number} maxEntries - Keep only the highest-scoring n-grams (optional)
+     * Contributions are saved as text hashes; importState() looks the text up in the chat again.
+     * The names and story terms they were counted with are saved once per distinct context.
+     * @returns {Object} - {version, ngrams: [[template, count, score, lastSeen, variants]], patterns,
+     *                     contributions: [[messageId, swipeId, hash, contextKey]], contexts: {contextKey: context},
+     *                     slopCandidates, totalMessagesProcessed}
+     */
+    exportState(maxEntries = Infinity) {
+        let entries = [...this.ngramFrequencies.entries()];
+        if (entries.length > maxEntries) {
+            entries = entries.sort((a, b) => b[1].score - a[1].score).slice(0, maxEntries);
+        }
+        const kept = new Set(entries.map(([phrase]) => phrase));
+
+        return {
+            version: STATE_VERSION,
+            fuzzyGrouping: !!this.settings.fuzzyGrouping,
+            ngrams: entries.map(([phrase, data]) => [phrase, data.count, Math.round(data.score * 1000) / 1000, data.lastSeen, data.variants || {}]),
+            patterns: this.patterns.exportState(maxEntries),
+            contributions: [...this.contributions.entries()].map(([messageId, { swipeId, text, context }]) => [messageId, swipeId, hashText(text), context]),
+            contexts: Object.fromEntries([...this.contributions.values()]
+                .filter(({ context }) => this.contexts.has(context))
+                .map(({ context }) => [context, this.contexts.get(context)])),
+            slopCandidates: [...this.slopCandidates].filter(phrase => kept.has(phrase)),
+            totalMessagesProcessed: this.totalMessagesProcessed
+        };
+    }
+
+    /**
+     * Replace the tracking data with a serialized state
+     * Contributions whose message text can't be found (or changed since) are dropped:
+     * they stay counted but can no longer be retracted.
+     * @param {Object} state - Result of exportState()
+     * @param {Function} textOf - (messageId, swipeId) => the message's text, or undefined (optional)
+     * @returns {Boolean} - False if the state was missing, malformed or grouped differently (tracking is reset)
+     */
+    importState(state, textOf = null) {
+        this.reset();
+        if (!state || state.version !== STATE_VERSION || !Array.isArray(state.ngrams)) return false;
+        if (!!state.fuzzyGrouping !== !!this.settings.fuzzyGrouping) return false;
+
+        state.ngrams.forEach(([phrase, count, score, lastSeen, variants]) => {
+            if (typeof phrase !== 'string') return;
+            this.ngramFrequencies.set(phrase, {
+                count: count || 0,
+                score: score || 0,
+                lastSeen: lastSeen || 0,
+                variants: variants && typeof variants === 'object' ? variants : {}
+            });
+        });
+        this.patterns.importState(state.patterns);
+        Object.entries(state.contexts || {}).forEach(([key, context]) => {
+            if (context && typeof context === 'object') this.contexts.set(key, context);
+        });
+        (state.contributions || []).forEach(([messageId, swipeId, hash, context]) => {
+            if (!textOf || !Number.isInteger(messageId)) return;
+            const text = textOf(messageId, swipeId || 0);
+            if (typeof text === 'string' && hashText(text) === hash) {
+                // Increments are recomputed from the text and context when it's retracted
+                this.contributions.set(messageId, { swipeId: swipeId || 0, text, context });
+            }
+        });
+        (state.slopCandidates || []).forEach(phrase => {
+            if (this.ngramFrequencies.has(phrase)) this.slopCandidates.add(phrase);
+        });
+        this.totalMessagesProcessed = state.totalMessagesProcessed || 0;
+        return true;
+    }
+
     /**
      * Add words to whitelist
      * @param {Array} words - Words to ignore
@@ -276,13 +848,16 @@ export class PassiveWatcher {
     analyzeChatHistory(messages) {
         this.reset();
 
-        const aiMessages = messages.filter(msg => !msg.is_user && msg.mes);
+        // Message ids are chat indexes unless the caller already trimmed the chat and set them
+        const aiMessages = messages
+            .map((msg, index) => ({ ...msg, id: msg.id ?? index }))
+            .filter(msg => this.isTrackedMessage(msg) && msg.mes);
 
         // Take last N messages (customizable)
         const recentMessages = aiMessages.slice(-this.settings.messagesToAnalyze);
 
         recentMessages.forEach(msg => {
-            this.analyzeMessage(msg.mes);
+            this.analyzeMessage(msg.mes, { messageId: msg.id, swipeId: msg.swipe_id ?? 0 });
         });
 
         return {
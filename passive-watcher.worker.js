@@ -1,92 +1,82 @@
 /**
  * PASSIVE WATCHER WEB WORKER
  * Runs n-gram analysis in background thread
+ *
+ * Loaded as a module worker: new Worker(url, { type: 'module' }).
+ * Every request is {id, type, data}; every reply is {id, ok, result} or
+ * {id, ok: false, error}, so callers can match replies to requests
+ * (see passive-watcher-client.js).
  */
 
-// Import the PassiveWatcher class (Web Workers can import ES6 modules)
-importScripts('./passive-watcher.js');
+import { PassiveWatcher } from './passive-watcher.js';
 
-let watcherInstance = null;
+let watcherInstance = new PassiveWatcher();
 
-// Message handler
-self.onmessage = function (e) {
-    const { type, data } = e.data;
+// Request handlers: data -> result (plain, structured-clone safe values only)
+const handlers = {
+    init(data) {
+        watcherInstance = new PassiveWatcher(data.settings);
+        return { ready: true };
+    },
 
-    try {
-        switch (type) {
-            case 'init':
-                // Initialize watcher with settings
-                watcherInstance = new PassiveWatcher(data.settings);
-                self.postMessage({ type: 'ready' });
-                break;
+    analyzeMessage(data) {
+        watcherInstance.analyzeMessage(data.text, data.source || null);
+        return watcherInstance.getStats();
+    },
+
+    analyzeBatch(data) {
+        // The main thread owns the state; bring the settings in line before each batch
+        if (data.settings) Object.assign(watcherInstance.settings, data.settings);
+        if (data.scoring !== undefined) watcherInstance.setScoringContext(data.scoring);
+        const results = watcherInstance.analyzeChatHistory(data.messages || []);
+        return { results, state: watcherInstance.exportState() };
+    },
+
+    getOverusedPhrases(data) {
+        return watcherInstance.getOverusedPhrases(data.minScore);
+    },
+
+    getStats() {
+        return watcherInstance.getStats();
+    },
 
-            case 'analyzeMessage':
-                // Analyze single message
-                if (watcherInstance) {
-                    watcherInstance.analyzeMessage(data.text);
-                    self.postMessage({
-                        type: 'messageAnalyzed',
-                        stats: watcherInstance.getStats()
-                    });
-                }
-                break;
+    exportState() {
+        return watcherInstance.exportState();
+    },
 
-            case 'analyzeBatch':
-                // Analyze chat history
-                if (watcherInstance) {
-                    const results = watcherInstance.analyzeChatHistory(data.messages);
-                    self.postMessage({
-                        type: 'batchComplete',
-                        results
-                    });
-                }
-                break;
+    importState(data) {
+        return watcherInstance.importState(data.state);
+    },
 
-            case 'getOverusedPhrases':
-                // Get current overused phrases
-                if (watcherInstance) {
-                    const phrases = watcherInstance.getOverusedPhrases(data.minScore);
-                    self.postMessage({
-                        type: 'overusedPhrases',
-                        phrases
-                    });
-                }
-                break;
+    reset() {
+        watcherInstance.reset();
+        return true;
+    },
 
-            case 'getStats':
-                // Get statistics
-                if (watcherInstance) {
-                    self.postMessage({
-                        type: 'stats',
-                        stats: watcherInstance.getStats()
-                    });
-                }
-                break;
+    setScoringContext(data) {
+        watcherInstance.setScoringContext(data.scoring);
+        return true;
+    },
 
-            case 'reset':
-                // Reset tracking
-                if (watcherInstance) {
-                    watcherInstance.reset();
-                    self.postMessage({ type: 'resetComplete' });
-                }
-                break;
+    updateSettings(data) {
+        Object.assign(watcherInstance.settings, data.settings);
+        return true;
+    }
+};
 
-            case 'updateSettings':
-                // Update settings
-                if (watcherInstance) {
-                    Object.assign(watcherInstance.settings, data.settings);
-                    self.postMessage({ type: 'settingsUpdated' });
-                }
-                break;
+// Message handler
+self.onmessage = function (e) {
+    const { id, type, data } = e.data || {};
 
-            default:
-                console.warn('[PassiveWatcher Worker] Unknown message type:', type);
+    try {
+        const handler = handlers[type];
+        if (!handler) {
+            throw new Error(`Unknown message type: ${type}`);
         }
+
+        self.postMessage({ id, ok: true, result: handler(data || {}) });
     } catch (error) {
-        self.postMessage({
-            type: 'error',
-            error: error.message,
-            stack: error.stack
-        });
+        console.warn('[PassiveWatcher Worker] Request failed:', error);
+        self.postMessage({ id, ok: false, error: error.message });
     }
 };
@@ -0,0 +1,335 @@
+/**
+ * Pattern Detector
+ * Used by Module B (Passive Watcher), Module C (Proactive Injector) and the diagnostics panel
+ *
+ * Fixed n-grams miss the most recognizable slop, which is structural:
+ * "It's not X, it's Y", "X, Y-ing Z", rhetorical triplets, "Somewhere," openers,
+ * paragraphs that all end on a one-line zinger. Two kinds of pattern are tracked:
+ *   - templates: known constructions, matched per sentence or per paragraph
+ *   - skeletons: sentence shapes with the content words blanked out
+ *     ("It wasn't fear, it was hunger." -> "it wasn't _ , it was _")
+ * Both are scored, pruned and decayed the same way Module B treats n-grams.
+ * The detector is owned by PassiveWatcher, so its state travels with the
+ * watcher's (worker batches, per-chat metadata).
+ */
+
+import { createNormalizer, isPlaceholder } from './phrase-normalizer.js';
+
+// Score added per template match (known constructions are stronger evidence than a repeated shape)
+const TEMPLATE_SCORE = 1.5;
+const SKELETON_SCORE = 1.0;
+// A skeleton must have been seen this often before it is reported
+const SKELETON_MIN_COUNT = 3;
+// Examples remembered per pattern
+const MAX_EXAMPLES = 3;
+const MAX_EXAMPLE_LENGTH = 120;
+
+// Words kept as-is in skeletons; everything else becomes "_"
+const FUNCTION_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'but', 'or', 'nor', 'yet', 'so', 'not', 'no', 'never', 'just', 'only', 'like', 'as',
+    'than', 'if', 'then', 'when', 'while', 'because', 'of', 'to', 'in', 'on', 'at', 'with', 'without', 'into',
+    'from', 'for', 'by', 'it', "it's", 'this', 'that', 'there', "there's", 'was', "wasn't", 'is', "isn't", 'were',
+    'are', 'be', 'been', 'had', 'has', 'have', 'did', "didn't", 'does', 'do', "don't", 'what', 'who', 'how',
+    'something', 'somewhere', 'someone', 'almost', 'more', 'less', 'too', 'very', 'still', 'even', 'all', 'every'
+]);
+
+// -ing words that aren't participles
+const NOT_PARTICIPLES = new Set([
+    'something', 'nothing', 'anything', 'everything', 'thing', 'things', 'during', 'king', 'ring', 'morning',
+    'evening', 'ceiling', 'building', 'wedding', 'bring', 'sing', 'sting', 'wing', 'string', 'spring', 'swing'
+]);
+
+/**
+ * Known constructions
+ * `scope` is what `test` receives: a sentence, or a paragraph's sentences.
+ * `instruction` is the wording Module C uses to ask the model to stop.
+ */
+export const PATTERN_TEMPLATES = [
+    {
+        id: 'not_x_but_y',
+        name: '"It\'s not X, it\'s Y"',
+        instruction: 'Do not define things by what they are not ("It\'s not X, it\'s Y", "not X, but Y").',
+        scope: 'sentence',
+        test: sentence => /\b(?:it|this|that|he|she|they|you|i)(?:'s|'re| is| was| are| were)(?: not|n't)\b[^.!?]*?[,;:—–-]+\s*(?:but\s+)?(?:it|this|that|he|she|they|you|i)(?:'s|'re| is| was| are| were)\b/i.test(sentence) ||
+            /\bnot (?:because|just|only|merely|out of|from)\b[^.!?]*?,\s*but\b/i.test(sentence)
+    },
+    {
+        id: 'participle_tail',
+        name: '"X, Y-ing Z"',
+        instruction: 'Do not keep ending sentences with a trailing "-ing" clause ("She smiled, revealing...").',
+        scope: 'sentence',
+        test: sentence => {
+            const match = sentence.match(/,\s+([a-z]+ing)\b[^,]*[.!?]?$/i);
+            return !!match && !NOT_PARTICIPLES.has(match[1].toLowerCase());
+        }
+    },
+    {
+        id: 'mix_of',
+        name: '"a mix of A and B"',
+        instruction: 'Do not describe feelings or expressions as "a mix of A and B".',
+        scope: 'sentence',
+        test: sentence => /\ba (?:mix|mixture|blend|combination|cocktail|tangle|swirl) of [\w\s'-]+? and \w+/i.test(sentence)
+    },
+    {
+        id: 'triplet',
+        name: 'Rhetorical triplets ("A, B, and C")',
+        instruction: 'Avoid lists of three for rhythm ("slow, deliberate, and measured").',
+        scope: 'sentence',
+        test: sentence => /(?:^|[\s—–-])[\w'-]+(?: [\w'-]+){0,2}, [\w'-]+(?: [\w'-]+){0,2},? (?:and|or) [\w'-]+(?: [\w'-]+){0,2}[.!?]?$/i.test(sentence)
+    },
+    {
+        id: 'somewhere_opener',
+        name: '"Somewhere," openers',
+        instruction: 'Do not open sentences with scene-cutaway fillers like "Somewhere, ..." or "Outside, ...".',
+        scope: 'sentence',
+        test: sentence => /^(?:somewhere|elsewhere|outside|in the distance|far away|for a (?:long )?moment|in that moment)(?: [\w'-]+){0,3},/i.test(sentence)
+    },
+    {
+        id: 'zinger_ending',
+        name: 'One-line zinger paragraph endings',
+        instruction: 'Do not end every paragraph on a short, punchy one-liner.',
+        scope: 'paragraph',
+        test: sentences => {
+            if (sentences.length < 3) return false;
+            const last = sentences[sentences.length - 1].split(/\s+/);
+            const average = sentences.slice(0, -1).reduce((sum, s) => sum + s.split(/\s+/).length, 0) / (sentences.length - 1);
+            return last.length <= 6 && last.length * 2 <= average;
+        }
+    }
+];
+
+const pronouns = createNormalizer();
+
+export class PatternDetector {
+    constructor() {
+        this.patterns = new Map(); // id -> {count, score, lastSeen, examples: {text: count}}
+    }
+
+    /**
+     * Split a paragraph into sentences, keeping their punctuation
+     * @param {String} paragraph - Cleaned paragraph text
+     * @returns {Array} - Sentences
+     */
+    splitSentences(paragraph) {
+        return (paragraph.match(/[^.!?]+[.!?]+["”']?|[^.!?]+$/g) || [])
+            .map(sentence => sentence.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Reduce a sentence to its shape: function words, pronouns and punctuation kept, content blanked
+     * @param {String} sentence - Sentence text
+     * @returns {String|null} - Skeleton, or null if the sentence has too little structure to compare
+     */
+    getSkeleton(sentence) {
+        const tokens = sentence.toLowerCase().replace(/[’‘]/g, "'").match(/[a-z']+|[,;:—–]/g) || [];
+        const words = tokens.filter(token => /[a-z]/.test(token));
+        if (words.length < 4 || words.length > 25) return null;
+
+        const skeleton = [];
+        tokens.forEach(token => {
+            const key = pronouns(token);
+            const kept = FUNCTION_WORDS.has(token) || isPlaceholder(key) || !/[a-z]/.test(token);
+            const part = kept ? (isPlaceholder(key) ? key : token) : '_';
+            if (part === '_' && skeleton[skeleton.length - 1] === '_') return;
+            skeleton.push(part);
+        });
+
+        // "_ the _" shapes match almost anything; require real structure
+        const structural = skeleton.filter(part => part !== '_').length;
+        if (skeleton.length < 6 || structural < 3 || !skeleton.includes('_')) return null;
+        return skeleton.join(' ');
+    }
+
+    /**
+     * Find the patterns in a message without recording them
+     * @param {Array} paragraphs - Cleaned paragraph texts
+     * @returns {Array} - [{id, kind, example}] one entry per occurrence
+     */
+    detect(paragraphs) {
+        const found = [];
+
+        paragraphs.forEach(paragraph => {
+            const sentences = this.splitSentences(paragraph);
+
+            PATTERN_TEMPLATES.forEach(template => {
+                if (template.scope === 'paragraph') {
+                    if (template.test(sentences)) {
+                        found.push({ id: template.id, kind: 'template', example: sentences[sentences.length - 1] });
+                    }
+                    return;
+                }
+                sentences.forEach(sentence => {
+                    if (template.test(sentence)) {
+                        found.push({ id: template.id, kind: 'template', example: sentence });
+                    }
+                });
+            });
+
+            sentences.forEach(sentence => {
+                const skeleton = this.getSkeleton(sentence);
+                if (skeleton) found.push({ id: `skeleton:${skeleton}`, kind: 'skeleton', example: sentence });
+            });
+        });
+
+        return found;
+    }
+
+    /**
+     * Record the patterns in a message
+     * @param {Array} paragraphs - Cleaned paragraph texts
+     * @param {Number} messageIndex - Watcher message counter (for pruning)
+     * @param {Number} threshold - Score at which a pattern counts as overused
+     * @returns {Array} - Ids that crossed the threshold with this message
+     */
+    analyzeMessage(paragraphs, messageIndex, threshold) {
+        const crossed = [];
+
+        this.detect(paragraphs).forEach(({ id, kind, example }) => {
+            const data = this.patterns.get(id) || { count: 0, score: 0, lastSeen: messageIndex, examples: {} };
+            const previousScore = data.score;
+
+            data.count++;
+            data.score += kind === 'template' ? TEMPLATE_SCORE : SKELETON_SCORE;
+            data.lastSeen = messageIndex;
+
+            const text = example.slice(0, MAX_EXAMPLE_LENGTH);
+            if (data.examples[text] || Object.keys(data.examples).length < MAX_EXAMPLES) {
+                data.examples[text] = (data.examples[text] || 0) + 1;
+            }
+
+            this.patterns.set(id, data);
+            if (data.score >= threshold && previousScore < threshold) crossed.push(id);
+        });
+
+        return crossed;
+    }
+
+    /**
+     * Take back what a message contributed (it was swiped away, edited or deleted)
+     * @param {Array} paragraphs - Cleaned paragraph texts of the retracted message
+     */
+    retractMessage(paragraphs) {
+        this.detect(paragraphs).forEach(({ id, kind, example }) => {
+            const data = this.patterns.get(id);
+            if (!data) return;
+
+            data.count--;
+            data.score = Math.max(0, data.score - (kind === 'template' ? TEMPLATE_SCORE : SKELETON_SCORE));
+            const text = example.slice(0, MAX_EXAMPLE_LENGTH);
+            if (data.examples[text] !== undefined && --data.examples[text] <= 0) {
+                delete data.examples[text];
+            }
+
+            if (data.count <= 0) this.patterns.delete(id);
+        });
+    }
+
+    /**
+     * Prune and decay patterns not seen for a while (same rules as Module B's n-grams)
+     * @param {Number} messageIndex - Watcher message counter
+     * @param {Number} maxAge - Messages without a sighting before pruning applies
+     * @param {Number} threshold - Patterns below this are dropped, ones above it decay
+     * @returns {Array} - Pruned ids
+     */
+    prune(messageIndex, maxAge, threshold) {
+        const pruned = [];
+
+        for (const [id, data] of this.patterns.entries()) {
+            if (messageIndex - data.lastSeen <= maxAge) continue;
+
+            if (data.score < threshold) {
+                this.patterns.delete(id);
+                pruned.push(id);
+            } else {
+                data.score *= 0.9;
+            }
+        }
+
+        return pruned;
+    }
+
+    /**
+     * Describe a tracked pattern
+     * @param {String} id - Pattern id
+     * @param {Object} data - Tracked data
+     * @returns {Object} - {id, kind, name, instruction, examples, score, count}
+     */
+    describe(id, data) {
+        const examples = Object.entries(data.examples || {})
+            .sort((a, b) => b[1] - a[1])
+            .map(([example]) => example);
+
+        const template = PATTERN_TEMPLATES.find(t => t.id === id);
+        if (template) {
+            return { id, kind: 'template', name: template.name, instruction: template.instruction, examples, score: data.score, count: data.count };
+        }
+
+        const skeleton = id.replace(/^skeleton:/, '');
+        return {
+            id,
+            kind: 'skeleton',
+            name: `Sentence shape "${skeleton}"`,
+            instruction: `Vary sentence structure; too many sentences follow the shape "${skeleton}".`,
+            examples,
+            score: data.score,
+            count: data.count
+        };
+    }
+
+    /**
+     * Get overused patterns
+     * @param {Number} minScore - Minimum score threshold
+     * @returns {Array} - Array of {id, kind, name, instruction, examples, score, count}, highest score first
+     */
+    getOverusedPatterns(minScore = 5.0) {
+        const overused = [];
+
+        for (const [id, data] of this.patterns.entries()) {
+            if (data.score < minScore) continue;
+            if (id.startsWith('skeleton:') && data.count < SKELETON_MIN_COUNT) continue;
+            overused.push(this.describe(id, data));
+        }
+
+        return overused.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Serialize the tracked patterns (plain JSON)
+     * @param {Number} maxEntries - Keep only the highest-scoring patterns (optional)
+     * @returns {Array} - [[id, count, score, lastSeen, examples]]
+     */
+    exportState(maxEntries = Infinity) {
+        let entries = [...this.patterns.entries()];
+        if (entries.length > maxEntries) {
+            entries = entries.sort((a, b) => b[1].score - a[1].score).slice(0, maxEntries);
+        }
+        return entries.map(([id, data]) => [id, data.count, Math.round(data.score * 1000) / 1000, data.lastSeen, data.examples]);
+    }
+
+    /**
+     * Replace the tracked patterns with a serialized state
+     * @param {Array} entries - Result of exportState() (missing or malformed -> empty)
+     */
+    importState(entries) {
+        this.patterns.clear();
+        if (!Array.isArray(entries)) return;
+
+        entries.forEach(([id, count, score, lastSeen, examples]) => {
+            if (typeof id !== 'string') return;
+            this.patterns.set(id, {
+                count: count || 0,
+                score: score || 0,
+                lastSeen: lastSeen || 0,
+                examples: examples && typeof examples === 'object' ? examples : {}
+            });
+        });
+    }
+
+    /**
+     * Forget all tracked patterns
+     */
+    reset() {
+        this.patterns.clear();
+    }
+}
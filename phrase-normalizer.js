@@ -0,0 +1,86 @@
+/**
+ * Phrase Normalizer
+ * Used by Module B (Passive Watcher)
+ *
+ * "her breath hitched", "his breath hitched" and "Elara's breath hitching" are
+ * the same habit. Before n-grams are counted, each word is mapped to a key:
+ *   pronouns        he/she/they/I/we       -> {they}
+ *                   him/them/me/us         -> {them}
+ *   possessives     his/her/their/my/its   -> {their}   (also "Name's")
+ *   names           name1 / name2          -> {name}
+ *   inflections     hitched/hitching/hitches -> hitch
+ * The resulting template is what gets counted; the text actually written is
+ * kept as a surface variant so results stay readable.
+ */
+
+export const PLACEHOLDERS = ['{they}', '{them}', '{their}', '{name}'];
+
+const SUBJECT_PRONOUNS = new Set(['he', 'she', 'they', 'i', 'we', 'you']);
+const OBJECT_PRONOUNS = new Set(['him', 'them', 'me', 'us']);
+// "her" is both object and possessive; the possessive reading is the common one in slop
+const POSSESSIVES = new Set(['his', 'her', 'their', 'my', 'its', 'your', 'our']);
+const REFLEXIVES = new Set(['himself', 'herself', 'themselves', 'themself', 'myself', 'yourself', 'ourselves']);
+
+/**
+ * Check whether a key is a placeholder
+ * @param {String} word - Normalized word
+ * @returns {Boolean}
+ */
+export function isPlaceholder(word) {
+    return word.startsWith('{') && word.endsWith('}');
+}
+
+/**
+ * Reduce a word to a crude stem so inflections share a key
+ * Not a real lemmatizer: it only has to be consistent, the stem is never shown alone.
+ * @param {String} word - Lowercase word
+ * @returns {String} - Stem
+ */
+export function stemWord(word) {
+    if (word.length <= 4 || !/^[a-z]+$/.test(word)) return word;
+
+    let stem = word;
+    if (stem.endsWith('ing') && stem.length > 5) {
+        stem = stem.slice(0, -3);
+    } else if (stem.endsWith('ed') && !stem.endsWith('eed')) {
+        stem = stem.slice(0, -2);
+    } else if (stem.endsWith('es')) {
+        stem = stem.slice(0, -2);
+    } else if (stem.endsWith('s') && !stem.endsWith('ss')) {
+        stem = stem.slice(0, -1);
+    }
+
+    // stopped -> stopp -> stop, but keep "fall", "kiss", "buzz"
+    if (/([b-df-hj-km-np-rtv-z])\1$/.test(stem) && !/(ll|ss|zz)$/.test(stem)) {
+        stem = stem.slice(0, -1);
+    }
+    // smile / smiled / smiling all end up as "smil"
+    if (stem.endsWith('e') && stem.length > 3) {
+        stem = stem.slice(0, -1);
+    }
+
+    return stem;
+}
+
+/**
+ * Create a word -> key function for the given character names
+ * @param {Array} names - Character / user names (e.g. context name1 and name2)
+ * @returns {Function} - (lowercase word) => normalized key
+ */
+export function createNormalizer(names = []) {
+    const nameSet = new Set(names
+        .flatMap(name => String(name || '').toLowerCase().split(/\s+/))
+        .filter(Boolean));
+
+    return word => {
+        if (SUBJECT_PRONOUNS.has(word)) return '{they}';
+        if (OBJECT_PRONOUNS.has(word) || REFLEXIVES.has(word)) return '{them}';
+        if (POSSESSIVES.has(word)) return '{their}';
+
+        const possessive = word.match(/^(.+?)(?:'s|s')$/);
+        if (possessive && nameSet.has(possessive[1])) return '{their}';
+        if (nameSet.has(word)) return '{name}';
+
+        return stemWord(word);
+    };
+}
@@ -0,0 +1,121 @@
+/**
+ * Phrase Weights
+ * Used by Module B (Passive Watcher)
+ *
+ * Raw n-gram counts rank character names, places and plot terms as "slop"
+ * simply because the story is about them. Each counted n-gram is therefore
+ * weighted, TF-IDF style, against two baselines:
+ *   - a bundled reference frequency table (reference-frequencies.json): words
+ *     common in ordinary fiction weigh less, known AI tics weigh more
+ *   - the chat's own story text (character card, lorebook, names): words the
+ *     story is expected to use weigh much less
+ * The context is plain JSON so it can be sent to the worker with a batch.
+ */
+
+// Weight of a word the story text uses (names, places, plot terms)
+const STORY_TERM_WEIGHT = 0.25;
+// Weight of a word or phrase from the AI tic lists
+const TIC_WEIGHT = 2.0;
+// Most common reference words weigh this much; the rarest listed ones approach 1
+const COMMON_WORD_WEIGHT = 0.6;
+// Story words that appear this often in general fiction aren't distinctive enough to down-weight
+const STORY_TERM_MIN_RANK = 200;
+
+/**
+ * Collect the distinctive words of a story's own text
+ * @param {Array} texts - Character card fields, lorebook entries, etc.
+ * @param {Array} names - Character / user names (always story terms)
+ * @param {Object} reference - Reference table ({words}) so everyday words are skipped (optional)
+ * @returns {Array} - Lowercase story terms
+ */
+export function buildStoryTerms(texts = [], names = [], reference = null) {
+    const common = new Map((reference?.words || []).map((word, rank) => [word, rank]));
+    const terms = new Set();
+
+    const addWords = (text, always) => {
+        String(text || '').toLowerCase().match(/[a-z][a-z'-]*/g)?.forEach(word => {
+            const rank = common.get(word);
+            if (always || rank === undefined || rank >= STORY_TERM_MIN_RANK) terms.add(word);
+        });
+    };
+
+    names.forEach(name => addWords(name, true));
+    // Possessives of names ("elara's") count as the name
+    [...terms].forEach(term => terms.add(`${term}'s`));
+    texts.forEach(text => addWords(text, false));
+
+    return [...terms];
+}
+
+export class PhraseWeighter {
+    constructor() {
+        this.context = null;
+        this.ranks = new Map();
+        this.ticWords = new Set();
+        this.ticPhrases = [];
+        this.storyTerms = new Set();
+    }
+
+    /**
+     * Replace the scoring context
+     * @param {Object|null} context - {reference: {words, aiTics: {words, phrases}}, storyTerms: [...]}
+     */
+    setContext(context) {
+        this.context = context || null;
+        const reference = context?.reference || {};
+
+        this.ranks = new Map((reference.words || []).map((word, rank) => [word, rank]));
+        this.ticWords = new Set(reference.aiTics?.words || []);
+        this.ticPhrases = (reference.aiTics?.phrases || []).map(phrase => phrase.toLowerCase().replace(/[.,!?]/g, ''));
+        this.storyTerms = new Set(context?.storyTerms || []);
+    }
+
+    /**
+     * Get the scoring context (plain JSON)
+     * @returns {Object|null}
+     */
+    getContext() {
+        return this.context;
+    }
+
+    /**
+     * Weight of a single word
+     * @param {String} word - Lowercase word
+     * @returns {Number}
+     */
+    weighWord(word) {
+        if (this.storyTerms.has(word)) return STORY_TERM_WEIGHT;
+        if (this.ticWords.has(word)) return TIC_WEIGHT;
+
+        const rank = this.ranks.get(word);
+        if (rank === undefined) return 1;
+
+        // Rank 0 (most common) -> COMMON_WORD_WEIGHT, last listed word -> ~1
+        const position = Math.log(rank + 1) / Math.log(this.ranks.size + 1);
+        return COMMON_WORD_WEIGHT + (1 - COMMON_WORD_WEIGHT) * position;
+    }
+
+    /**
+     * Weight of an n-gram: geometric mean of its word weights, boosted for tic phrases
+     * @param {String} ngram - Lowercase, space-separated n-gram
+     * @returns {Number} - Multiplier for the n-gram's score increment (1 without a context)
+     */
+    weigh(ngram) {
+        if (!this.context) return 1;
+
+        const words = ngram.split(' ');
+        const logSum = words.reduce((sum, word) => sum + Math.log(this.weighWord(word)), 0);
+        let weight = Math.exp(logSum / words.length);
+
+        // A story term anywhere in the phrase marks it as expected in this story
+        if (words.some(word => this.storyTerms.has(word))) {
+            weight = Math.min(weight, STORY_TERM_WEIGHT * 2);
+        }
+
+        if (this.ticPhrases.some(phrase => ` ${ngram} `.includes(` ${phrase} `) || ` ${phrase} `.includes(` ${ngram} `))) {
+            weight *= TIC_WEIGHT;
+        }
+
+        return weight;
+    }
+}
@@ -10,6 +10,7 @@ export class ProactiveInjector {
     constructor() {
         this.enabled = true;
         this.overusedPhrases = [];
+        this.overusedPatterns = []; // Structural patterns from Module B (pattern-detector.js)
         this.injectionMode = 'system'; // 'system', 'user', or 'both'
         this.priority = 'high'; // 'high', 'medium', 'low'
     }
@@ -23,13 +24,31 @@ export class ProactiveInjector {
         console.log(`[ProactiveInjector] Tracking ${phrases.length} overused phrases`);
     }
 
+    /**
+     * Update the list of overused structural patterns from Module B
+     * @param {Array} patterns - Array of {name, instruction, examples, score, count}
+     */
+    updateOverusedPatterns(patterns) {
+        this.overusedPatterns = patterns || [];
+        console.log(`[ProactiveInjector] Tracking ${this.overusedPatterns.length} overused patterns`);
+    }
+
+    /**
+     * Check whether there is anything to inject
+     * @returns {Boolean}
+     */
+    hasContent() {
+        return this.overusedPhrases.length > 0 || this.overusedPatterns.length > 0;
+    }
+
     /**
      * Generate preventative instructions based on overused phrases
      * @param {Number} maxPhrases - Maximum phrases to include
+     * @param {Number} maxPatterns - Maximum structural patterns to include
      * @returns {String} - Instruction text
      */
-    generatePreventativeInstructions(maxPhrases = 10) {
-        if (!this.enabled || this.overusedPhrases.length === 0) {
+    generatePreventativeInstructions(maxPhrases = 10, maxPatterns = 3) {
+        if (!this.enabled || !this.hasContent()) {
             return '';
         }
 
@@ -37,18 +56,30 @@ export class ProactiveInjector {
             .slice(0, maxPhrases)
             .map(item => `"${item.phrase}"`);
 
-        if (topPhrases.length === 0) return '';
+        const topPatterns = this.overusedPatterns
+            .slice(0, maxPatterns)
+            .map(item => item.examples?.length > 0
+                ? `- ${item.instruction} (e.g. "${item.examples[0]}")`
+                : `- ${item.instruction}`);
 
-        const instruction = `
-[ANTI-SLOP DIRECTIVE - HIGH PRIORITY]
-The following phrases have been severely overused in recent responses. You MUST avoid them completely:
+        if (topPhrases.length === 0 && topPatterns.length === 0) return '';
 
-${topPhrases.join(', ')}
+        const sections = [];
 
-Instead, use fresh, creative alternatives that convey the same meaning through different words, metaphors, or descriptive angles. Show emotions and reactions through unique sensory details, body language, and dialogue rather than these clichéd patterns.
-`.trim();
+        if (topPhrases.length > 0) {
+            sections.push(`The following phrases have been severely overused in recent responses. You MUST avoid them completely:
+
+${topPhrases.join(', ')}`);
+        }
+
+        if (topPatterns.length > 0) {
+            sections.push(`These sentence structures have become repetitive. Vary how sentences and paragraphs are built:
+${topPatterns.join('\n')}`);
+        }
+
+        sections.push('Instead, use fresh, creative alternatives that convey the same meaning through different words, metaphors, or descriptive angles. Show emotions and reactions through unique sensory details, body language, and dialogue rather than these clichéd patterns.');
 
-        return instruction;
+        return `[ANTI-SLOP DIRECTIVE - HIGH PRIORITY]\n${sections.join('\n\n')}`;
     }
 
     /**
@@ -83,7 +114,7 @@ Focus on vivid, specific, and varied descriptions that haven't appeared in the l
      * @returns {Object} - Modified context or injection string
      */
     async injectInstructions(context) {
-        if (!this.enabled || this.overusedPhrases.length === 0) {
+        if (!this.enabled || !this.hasContent()) {
             console.log('[ProactiveInjector] No phrases to inject');
             return null;
         }
@@ -114,7 +145,7 @@ Focus on vivid, specific, and varied descriptions that haven't appeared in the l
      * @returns {String} - Instruction text to inject
      */
     getInjectionText() {
-        if (!this.enabled || this.overusedPhrases.length === 0) {
+        if (!this.enabled || !this.hasContent()) {
             return null;
         }
 
@@ -144,6 +175,7 @@ Focus on vivid, specific, and varied descriptions that haven't appeared in the l
      */
     reset() {
         this.overusedPhrases = [];
+        this.overusedPatterns = [];
         console.log('[ProactiveInjector] Reset - cleared overused phrases');
     }
 
@@ -155,9 +187,10 @@ Focus on vivid, specific, and varied descriptions that haven't appeared in the l
         return {
             enabled: this.enabled,
             phrasesTracked: this.overusedPhrases.length,
+            patternsTracked: this.overusedPatterns.length,
             injectionMode: this.injectionMode,
             priority: this.priority,
-            wouldInject: this.overusedPhrases.length > 0,
+            wouldInject: this.hasContent(),
             topPhrases: this.overusedPhrases.slice(0, 5)
         };
     }
@@ -0,0 +1,243 @@
+/**
+ * Prose Metrics
+ * Used by Quality Mode and the diagnostics panel
+ *
+ * Repeated phrases are only one kind of drift. These metrics follow the style
+ * of each AI message over the course of a chat:
+ *   rhythm          sentence-length variance, average paragraph length
+ *   weak prose      adverb density, filter words ("she felt", "he noticed"), passive voice
+ *   punctuation     em-dash and ellipsis frequency
+ *   dialogue        variety of dialogue tags ("said" vs. "murmured", "purred", ...)
+ * Frequencies are per 100 words so short and long messages compare. Each metric
+ * can have a threshold; values past it become Quality Mode violations.
+ */
+
+import { getProtectedSpanPatterns, stripProtectedSpans } from './text-tokenizer.js';
+
+// -ly words that aren't adverbs
+const NOT_ADVERBS = new Set([
+    'only', 'family', 'early', 'reply', 'supply', 'apply', 'rely', 'ally', 'belly', 'bully', 'holy', 'ugly', 'lily',
+    'fly', 'july', 'italy', 'jelly', 'silly', 'friendly', 'lovely', 'lonely', 'curly', 'chilly', 'daily', 'elderly',
+    'costly', 'deadly', 'likely', 'lively', 'ghostly', 'kindly', 'surly', 'burly', 'oily', 'woolly', 'comply',
+    'anomaly', 'assembly', 'butterfly', 'monopoly', 'melancholy', 'homily', 'rally', 'tally', 'folly', 'gully'
+]);
+
+// "she felt", "he noticed", "I could see"
+const FILTER_WORD_PATTERN = /\b(?:i|he|she|they|we|you)\s+(?:could\s+)?(?:felt|feel|feels|noticed|notices|notice|saw|see|sees|heard|hear|hears|realized|realised|realizes|watched|watches|wondered|wonders|seemed|seems|knew|knows|thought|thinks|sensed|senses)\b/gi;
+
+// be-verb + (adverb) + past participle
+const PASSIVE_PATTERN = /\b(?:am|is|are|was|were|be|been|being)\s+(?:\w+ly\s+)?(?:\w+ed|taken|given|broken|chosen|written|spoken|forgotten|hidden|driven|eaten|fallen|frozen|shaken|stolen|woken|beaten|bitten|forgiven|seen|made|held|kept|left|done|known|caught|bought|brought|built|found|heard|led|lost|meant|met|paid|put|said|sent|set|shut|sold|struck|told|thrown|won|hung|bound|spun|torn|worn)\b/i;
+
+// `"...," she whispered` / `"..." Elara said`
+const DIALOGUE_TAG_PATTERN = /["”]\s*(?:,\s*)?(?:he|she|they|i|we|[A-Z][a-z]+)\s+([a-z]+)\b/g;
+const TAG_VERBS = new Set([
+    'said', 'says', 'asked', 'asks', 'replied', 'whispered', 'murmured', 'muttered', 'breathed', 'purred', 'growled',
+    'hissed', 'snapped', 'shouted', 'yelled', 'called', 'added', 'continued', 'answered', 'admitted', 'teased',
+    'chuckled', 'laughed', 'sighed', 'groaned', 'mumbled', 'drawled', 'stammered', 'whimpered', 'gasped', 'rasped'
+]);
+
+/**
+ * Metric descriptions, in display order
+ * `threshold` names the setting that limits the metric; `direction` says which side is bad.
+ * `fix` is the Quality Mode instruction when the limit is crossed.
+ */
+export const PROSE_METRICS = [
+    {
+        key: 'sentenceLengthVariance',
+        label: 'Sentence length variance',
+        unit: 'words²',
+        threshold: 'minSentenceLengthVariance',
+        direction: 'min',
+        fix: 'Vary sentence length: mix short, punchy sentences with longer, flowing ones.'
+    },
+    {
+        key: 'paragraphLength',
+        label: 'Average paragraph length',
+        unit: 'words',
+        threshold: 'maxParagraphLength',
+        direction: 'max',
+        fix: 'Break up long paragraphs.'
+    },
+    {
+        key: 'adverbDensity',
+        label: 'Adverbs',
+        unit: 'per 100 words',
+        threshold: 'maxAdverbDensity',
+        direction: 'max',
+        fix: 'Cut -ly adverbs; use stronger verbs instead.'
+    },
+    {
+        key: 'filterWordDensity',
+        label: 'Filter words',
+        unit: 'per 100 words',
+        threshold: 'maxFilterWordDensity',
+        direction: 'max',
+        fix: 'Remove filter words ("she felt", "he noticed"); describe what is felt or noticed directly.'
+    },
+    {
+        key: 'passiveRatio',
+        label: 'Passive sentences',
+        unit: '%',
+        threshold: 'maxPassiveRatio',
+        direction: 'max',
+        fix: 'Rewrite passive sentences in the active voice.'
+    },
+    {
+        key: 'emDashDensity',
+        label: 'Em-dashes',
+        unit: 'per 100 words',
+        threshold: 'maxEmDashDensity',
+        direction: 'max',
+        fix: 'Use fewer em-dashes; prefer commas, periods or restructured sentences.'
+    },
+    {
+        key: 'ellipsisDensity',
+        label: 'Ellipses',
+        unit: 'per 100 words',
+        threshold: 'maxEllipsisDensity',
+        direction: 'max',
+        fix: 'Use fewer ellipses.'
+    },
+    {
+        key: 'dialogueTagVariety',
+        label: 'Dialogue tag variety',
+        unit: '%',
+        threshold: 'maxDialogueTagVariety',
+        direction: 'max',
+        fix: 'Use plain dialogue tags ("said", "asked") or action beats instead of a new speech verb every line.'
+    }
+];
+
+// 0 turns a threshold off
+export const DEFAULT_METRIC_THRESHOLDS = {
+    minSentenceLengthVariance: 12,
+    maxParagraphLength: 120,
+    maxAdverbDensity: 4,
+    maxFilterWordDensity: 1.5,
+    maxPassiveRatio: 25,
+    maxEmDashDensity: 1.5,
+    maxEllipsisDensity: 1,
+    maxDialogueTagVariety: 0
+};
+
+// Metrics that need this much material to mean anything
+const MIN_SENTENCES_FOR_VARIANCE = 4;
+const MIN_TAGS_FOR_VARIETY = 3;
+
+/**
+ * Round to one decimal
+ * @param {Number} value
+ * @returns {Number}
+ */
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Format a metric value with its unit
+ * @param {Object} metric - Entry of PROSE_METRICS
+ * @param {Number|null} value - Metric value
+ * @returns {String}
+ */
+export function formatMetricValue(metric, value) {
+    if (typeof value !== 'number') return '–';
+    return metric.unit === '%' ? `${value}%` : `${value} ${metric.unit}`;
+}
+
+/**
+ * Compute the metrics of one message
+ * @param {String} text - Message text
+ * @returns {Object|null} - {words, sentences, paragraphs, <metric key>: Number|null}, null for empty text
+ */
+export function computeMetrics(text) {
+    const clean = stripProtectedSpans(String(text || ''), getProtectedSpanPatterns(['code_block', 'html_tag']))
+        .replace(/[*_~`]+/g, '')
+        .replace(/[’‘]/g, "'");
+
+    const words = clean.match(/[A-Za-z][A-Za-z'-]*/g) || [];
+    if (words.length === 0) return null;
+    const per100 = count => round(count * 100 / words.length);
+
+    const paragraphs = clean.split(/\n\s*\n|\n/).map(p => p.trim()).filter(p => /[A-Za-z]/.test(p));
+    const sentences = (clean.match(/[^.!?…]+(?:[.!?…]+["”']?|$)/g) || []).filter(s => /[A-Za-z]/.test(s));
+    const lengths = sentences.map(s => (s.match(/[A-Za-z][A-Za-z'-]*/g) || []).length);
+
+    let sentenceLengthVariance = null;
+    if (lengths.length >= MIN_SENTENCES_FOR_VARIANCE) {
+        const mean = lengths.reduce((sum, n) => sum + n, 0) / lengths.length;
+        sentenceLengthVariance = round(lengths.reduce((sum, n) => sum + (n - mean) ** 2, 0) / lengths.length);
+    }
+
+    const adverbs = words.filter(word => {
+        const lower = word.toLowerCase();
+        return lower.length > 4 && lower.endsWith('ly') && !NOT_ADVERBS.has(lower);
+    }).length;
+
+    const tags = [...clean.matchAll(DIALOGUE_TAG_PATTERN)]
+        .map(match => match[1].toLowerCase())
+        .filter(verb => TAG_VERBS.has(verb));
+
+    return {
+        words: words.length,
+        sentences: sentences.length,
+        paragraphs: paragraphs.length,
+        sentenceLengthVariance,
+        paragraphLength: round(words.length / Math.max(1, paragraphs.length)),
+        adverbDensity: per100(adverbs),
+        filterWordDensity: per100((clean.match(FILTER_WORD_PATTERN) || []).length),
+        passiveRatio: sentences.length > 0 ? round(sentences.filter(s => PASSIVE_PATTERN.test(s)).length * 100 / sentences.length) : null,
+        emDashDensity: per100((clean.match(/—|--/g) || []).length),
+        ellipsisDensity: per100((clean.match(/…|\.{3}/g) || []).length),
+        dialogueTagVariety: tags.length >= MIN_TAGS_FOR_VARIETY ? round(new Set(tags).size * 100 / tags.length) : null
+    };
+}
+
+/**
+ * Average the metrics of several messages (the rolling chat average)
+ * Metrics a message had no value for (null) are left out of that metric's average.
+ * @param {Array} metricsList - Results of computeMetrics()
+ * @returns {Object|null} - Same shape as computeMetrics(), plus `messages`
+ */
+export function averageMetrics(metricsList) {
+    const list = (metricsList || []).filter(Boolean);
+    if (list.length === 0) return null;
+
+    const average = { messages: list.length };
+    ['words', 'sentences', 'paragraphs', ...PROSE_METRICS.map(metric => metric.key)].forEach(key => {
+        const values = list.map(metrics => metrics[key]).filter(value => typeof value === 'number');
+        average[key] = values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+    });
+    return average;
+}
+
+/**
+ * Compare metrics against thresholds
+ * @param {Object} metrics - Result of computeMetrics()
+ * @param {Object} thresholds - Threshold settings (missing keys use DEFAULT_METRIC_THRESHOLDS, 0 = off)
+ * @returns {Array} - [{key, label, value, limit, description, fix}]
+ */
+export function checkMetricThresholds(metrics, thresholds = {}) {
+    if (!metrics) return [];
+    const limits = { ...DEFAULT_METRIC_THRESHOLDS, ...thresholds };
+
+    return PROSE_METRICS
+        .filter(metric => {
+            const value = metrics[metric.key];
+            const limit = Number(limits[metric.threshold]);
+            if (typeof value !== 'number' || !limit) return false;
+            return metric.direction === 'max' ? value > limit : value < limit;
+        })
+        .map(metric => {
+            const value = metrics[metric.key];
+            const limit = Number(limits[metric.threshold]);
+            const bound = metric.direction === 'max' ? 'maximum' : 'minimum';
+            return {
+                key: metric.key,
+                label: metric.label,
+                value,
+                limit,
+                description: `${metric.label}: ${formatMetricValue(metric, value)} (${bound} ${formatMetricValue(metric, limit)})`,
+                fix: metric.fix
+            };
+        });
+}
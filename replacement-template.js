@@ -0,0 +1,261 @@
+/**
+ * Replacement Template Grammar
+ * Used by Module A (Static Fixer) and Module D (AI Regex Generator)
+ *
+ * A replaceString is literal text with any number of blocks:
+ *   {{random:alt1,alt2,...}}  - draw one alternative
+ *   {{pick:poolName}}         - draw one alternative from a shared pool
+ *
+ * Inside {{random:}}:
+ *   \,  \\  \"          - escaped comma, backslash, quote
+ *   "a, b"              - quoted alternative (commas and spaces kept as-is)
+ *   "Hello\," she said  - quotes that don't wrap the whole alternative are literal text
+ *   weight:3:text       - alternative drawn 3x as often (default weight 1)
+ * $1, $2, $& etc. expand in both literal text and alternatives.
+ */
+
+const BLOCK_START = /\{\{(random|pick):/g;
+const WEIGHT_PREFIX = /^weight:(\d+(?:\.\d+)?):/;
+
+/**
+ * Parse one alternative's raw text into {text, weight}
+ * @param {String} raw - Unescaped alternative text
+ * @param {Boolean} quoted - True if the alternative was quoted (kept verbatim)
+ * @returns {Object} - {text, weight}
+ */
+function parseAlternative(raw, quoted) {
+    let text = quoted ? raw : raw.trim();
+    let weight = 1;
+
+    const weightMatch = text.match(WEIGHT_PREFIX);
+    if (weightMatch) {
+        weight = parseFloat(weightMatch[1]);
+        text = text.slice(weightMatch[0].length);
+        if (!quoted) text = text.trim();
+    }
+
+    return { text, weight };
+}
+
+/**
+ * Check whether a quote at `start` wraps the whole alternative
+ * True when the matching closing quote is followed only by whitespace up to the next , or }}
+ * @param {String} source - Full template source
+ * @param {Number} start - Index of the opening quote
+ * @returns {Boolean}
+ */
+function quoteWrapsAlternative(source, start) {
+    for (let i = start + 1; i < source.length; i++) {
+        if (source[i] === '\\' && ['\\', ',', '"', '}'].includes(source[i + 1])) {
+            i++;
+            continue;
+        }
+        if (source[i] === '"') {
+            return /^\s*(?:,|\}\})/.test(source.slice(i + 1));
+        }
+    }
+    return false;
+}
+
+/**
+ * Scan a {{random:...}} body starting at `start` until its closing }}
+ * @param {String} source - Full template source
+ * @param {Number} start - Index just after "{{random:"
+ * @returns {Object|null} - {alternatives, end} or null if the block never closes
+ */
+function scanRandomBlock(source, start) {
+    const alternatives = [];
+    let current = '';
+    let quoted = false;      // Inside "..."
+    let wasQuoted = false;   // Current alternative was written as "..."
+
+    for (let i = start; i < source.length; i++) {
+        const ch = source[i];
+
+        if (ch === '\\' && ['\\', ',', '"', '}'].includes(source[i + 1])) {
+            current += source[i + 1];
+            i++;
+            continue;
+        }
+
+        if (quoted) {
+            if (ch === '"') {
+                quoted = false;
+            } else {
+                current += ch;
+            }
+            continue;
+        }
+
+        // A quote opens a quoted alternative only at its start (after an optional weight: prefix)
+        // and only if it wraps the whole alternative; otherwise it's a literal quote
+        if (ch === '"' && !wasQuoted) {
+            const prefix = current.trim();
+            const atStart = prefix === '' || prefix.replace(WEIGHT_PREFIX, '') === '' && WEIGHT_PREFIX.test(prefix);
+            if (atStart && quoteWrapsAlternative(source, i)) {
+                quoted = true;
+                wasQuoted = true;
+                current = prefix;
+                continue;
+            }
+        }
+
+        if (ch === ',' || (ch === '}' && source[i + 1] === '}')) {
+            alternatives.push(parseAlternative(current, wasQuoted));
+            current = '';
+            wasQuoted = false;
+
+            if (ch === '}') {
+                return { alternatives, end: i + 2 };
+            }
+            continue;
+        }
+
+        // Whitespace between a closing quote and the next , or }} is not part of the alternative
+        if (wasQuoted && /\s/.test(ch)) continue;
+
+        current += ch;
+    }
+
+    return null;
+}
+
+/**
+ * Parse a replacement string into literal parts and blocks
+ * @param {String} source - Rule replaceString
+ * @returns {Object} - {parts: [{type: 'text'|'random'|'pick', ...}], blockCount}
+ */
+export function parseTemplate(source) {
+    const parts = [];
+    let blockCount = 0;
+    let cursor = 0;
+
+    if (typeof source !== 'string') {
+        return { parts, blockCount };
+    }
+
+    BLOCK_START.lastIndex = 0;
+    let blockMatch;
+    while ((blockMatch = BLOCK_START.exec(source)) !== null) {
+        const bodyStart = blockMatch.index + blockMatch[0].length;
+        let block = null;
+        let end = -1;
+
+        if (blockMatch[1] === 'random') {
+            const scanned = scanRandomBlock(source, bodyStart);
+            if (scanned) {
+                block = { type: 'random', alternatives: scanned.alternatives, index: blockCount };
+                end = scanned.end;
+            }
+        } else {
+            const close = source.indexOf('}}', bodyStart);
+            if (close !== -1) {
+                block = { type: 'pick', pool: source.slice(bodyStart, close).trim(), index: blockCount };
+                end = close + 2;
+            }
+        }
+
+        // Unclosed block: leave the rest as literal text
+        if (!block) break;
+
+        if (blockMatch.index > cursor) {
+            parts.push({ type: 'text', value: source.slice(cursor, blockMatch.index) });
+        }
+        parts.push(block);
+        blockCount++;
+        cursor = end;
+        BLOCK_START.lastIndex = end;
+    }
+
+    if (cursor < source.length) {
+        parts.push({ type: 'text', value: source.slice(cursor) });
+    }
+
+    return { parts, blockCount };
+}
+
+/**
+ * Count alternatives offered by a template (largest block wins)
+ * @param {String|Object} template - replaceString or parsed template
+ * @param {Object} pools - Shared pools, for {{pick:}} blocks (optional)
+ * @returns {Number} - Number of alternatives, 0 if the template has no blocks
+ */
+export function countAlternatives(template, pools = {}) {
+    const parsed = typeof template === 'string' ? parseTemplate(template) : template;
+
+    return parsed.parts.reduce((max, part) => {
+        if (part.type === 'random') return Math.max(max, part.alternatives.length);
+        if (part.type === 'pick') return Math.max(max, (pools[part.pool] || []).length);
+        return max;
+    }, 0);
+}
+
+/**
+ * Escape text so it is a single alternative inside {{random:}}
+ * @param {String} text - Plain alternative text
+ * @returns {String} - Escaped alternative
+ */
+export function escapeAlternative(text) {
+    return String(text).replace(/([\\,"}])/g, '\\$1');
+}
+
+/**
+ * Parse a pool's alternative strings (each may carry a weight: prefix)
+ * @param {Array} entries - Pool entries
+ * @returns {Array} - Array of {text, weight}
+ */
+export function parsePool(entries) {
+    return (entries || []).map(entry => parseAlternative(String(entry), false));
+}
+
+/**
+ * Draw one alternative, honoring weights
+ * @param {Array} alternatives - Array of {text, weight}
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {Number} - Index of the chosen alternative
+ */
+export function weightedIndex(alternatives, random = Math.random) {
+    const total = alternatives.reduce((sum, alt) => sum + Math.max(0, alt.weight), 0);
+    if (total <= 0) return Math.floor(random() * alternatives.length);
+
+    let roll = random() * total;
+    for (let i = 0; i < alternatives.length; i++) {
+        roll -= Math.max(0, alternatives[i].weight);
+        if (roll < 0) return i;
+    }
+    return alternatives.length - 1;
+}
+
+/**
+ * Render a parsed template for one match
+ * @param {Object} template - Parsed template from parseTemplate()
+ * @param {Object} options - {expand(text), pools, choose(alternatives, block)}
+ * @returns {String|null} - Rendered text, or null if a {{pick:}} pool is missing
+ */
+export function renderTemplate(template, options = {}) {
+    const expand = options.expand || (text => text);
+    const pools = options.pools || {};
+    const choose = options.choose || (alternatives => weightedIndex(alternatives));
+
+    let output = '';
+
+    for (const part of template.parts) {
+        if (part.type === 'text') {
+            output += expand(part.value);
+            continue;
+        }
+
+        const alternatives = part.type === 'random'
+            ? part.alternatives
+            : parsePool(pools[part.pool]);
+
+        if (alternatives.length === 0) {
+            if (part.type === 'pick') return null;
+            continue;
+        }
+
+        output += expand(alternatives[choose(alternatives, part)].text);
+    }
+
+    return output;
+}
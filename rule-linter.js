@@ -0,0 +1,306 @@
+/**
+ * Rule Linter
+ * Used by Module A (Static Fixer) and Module D (AI Regex Generator)
+ *
+ * Checks a rule before it is activated. Rules run on the main thread, so a
+ * pattern that backtracks catastrophically freezes the chat UI.
+ *   error   - the rule must not be activated
+ *   warning - the rule works but is probably not what was intended
+ */
+
+import { parseRegexString } from './st-regex-format.js';
+
+// Neutral prose: a slop pattern should match it rarely, if at all
+export const SAMPLE_CORPUS = [
+    'The train left the station a few minutes after noon. Mara found a seat by the window and opened her book,',
+    'though she read the same paragraph three times before giving up. Outside, fields gave way to small towns,',
+    'then to the grey edges of the city. "Are you getting off at the next stop?" the man across from her asked.',
+    'She shook her head and told him she was going all the way to the coast. He nodded, folded his newspaper,',
+    'and went back to the crossword. When the conductor came through, she showed her ticket and asked whether',
+    'the dining car was still open. It was, so she packed her bag, walked two carriages forward and ordered tea.',
+    'The window there was cleaner. For a while she just watched the rain, counting the bridges as they passed.'
+].join(' ');
+
+// Matches per 1000 characters of the sample corpus before a pattern counts as too broad
+const BROAD_MATCH_RATE = 2;
+// Share of the sample corpus a pattern may cover before it counts as too broad
+const BROAD_COVERAGE = 0.05;
+
+/**
+ * Check whether a quantifier starts at `index` and whether it is unbounded
+ * @param {String} source - Regex source
+ * @param {Number} index - Position right after an atom
+ * @returns {Object|null} - {unbounded, length} or null if no quantifier
+ */
+function readQuantifier(source, index) {
+    const ch = source[index];
+    let length = 0;
+    let unbounded = false;
+
+    if (ch === '*' || ch === '+') {
+        length = 1;
+        unbounded = true;
+    } else if (ch === '?') {
+        length = 1;
+    } else if (ch === '{') {
+        const braces = source.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+        if (!braces) return null;
+        length = braces[0].length;
+        unbounded = braces[2] !== undefined && braces[3] === '';
+    } else {
+        return null;
+    }
+
+    // Lazy/possessive suffix
+    if (source[index + length] === '?') length++;
+    return { unbounded, length };
+}
+
+/**
+ * Find quantified groups that contain another unbounded quantifier, e.g. (a+)+ or (\w*\s?)*
+ * @param {String} source - Regex source
+ * @returns {Array} - Array of {start, end} for each offending group
+ */
+export function findNestedQuantifiers(source) {
+    const found = [];
+    const stack = [];   // Open groups: {start, hasUnbounded}
+    let inClass = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+
+        if (ch === '\\') {
+            i++;
+            const quantifier = !inClass && readQuantifier(source, i + 1);
+            if (quantifier && quantifier.unbounded && stack.length) stack[stack.length - 1].hasUnbounded = true;
+            if (quantifier) i += quantifier.length;
+            continue;
+        }
+
+        if (inClass) {
+            if (ch === ']') {
+                inClass = false;
+                const quantifier = readQuantifier(source, i + 1);
+                if (quantifier && quantifier.unbounded && stack.length) stack[stack.length - 1].hasUnbounded = true;
+                if (quantifier) i += quantifier.length;
+            }
+            continue;
+        }
+
+        if (ch === '[') {
+            inClass = true;
+            continue;
+        }
+
+        if (ch === '(') {
+            stack.push({ start: i, hasUnbounded: false });
+            continue;
+        }
+
+        if (ch === ')') {
+            const group = stack.pop();
+            if (!group) continue;
+
+            const quantifier = readQuantifier(source, i + 1);
+            if (quantifier && quantifier.unbounded && group.hasUnbounded) {
+                found.push({ start: group.start, end: i + 1 + quantifier.length });
+            }
+
+            // The enclosing group inherits anything unbounded inside this one
+            const parent = stack[stack.length - 1];
+            if (parent && (group.hasUnbounded || (quantifier && quantifier.unbounded))) {
+                parent.hasUnbounded = true;
+            }
+            if (quantifier) i += quantifier.length;
+            continue;
+        }
+
+        const quantifier = readQuantifier(source, i + 1);
+        if (quantifier) {
+            if (quantifier.unbounded && stack.length) stack[stack.length - 1].hasUnbounded = true;
+            i += quantifier.length;
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Find runs like .*.* or \w+\w+ where two unbounded quantifiers compete for the same text
+ * @param {String} source - Regex source
+ * @returns {Array} - Offending snippets
+ */
+function findAdjacentUnbounded(source) {
+    const atom = String.raw`(?:\.|\\[wWsSdD]|\[[^\]]*\])`;
+    const regex = new RegExp(`(${atom})[*+]\\??(${atom})[*+]`, 'g');
+    const found = [];
+
+    let match;
+    while ((match = regex.exec(source)) !== null) {
+        // \w+\s+ is fine: the two classes don't overlap
+        const [whole, first, second] = match;
+        const overlapping = first === second || first === '.' || second === '.';
+        if (overlapping) found.push(whole);
+        regex.lastIndex = match.index + 1;
+    }
+
+    return found;
+}
+
+/**
+ * Check whether a regex can produce a zero-length match
+ * Probes an empty string and a short text with word boundaries and punctuation.
+ * @param {RegExp} regex - Compiled regex
+ * @returns {Boolean}
+ */
+function canMatchEmpty(regex) {
+    const scanner = new RegExp(regex.source, `${regex.flags}g`);
+
+    return ['', ' a, b. '].some(probe => {
+        scanner.lastIndex = 0;
+        let match;
+        while ((match = scanner.exec(probe)) !== null) {
+            if (match[0].length === 0) return true;
+        }
+        return false;
+    });
+}
+
+/**
+ * Count capture groups and collect group names
+ * @param {RegExp} regex - Compiled regex
+ * @param {String} source - Regex source
+ * @returns {Object} - {count, names}
+ */
+function describeGroups(regex, source) {
+    // An alternation with the empty string always matches, exposing every group
+    const count = new RegExp(`${source}|`, regex.flags.replace(/[gy]/g, '')).exec('').length - 1;
+    const names = new Set([...source.matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g)].map(match => match[1]));
+    return { count, names };
+}
+
+/**
+ * Find $n / $<name> references that point at groups the regex doesn't have
+ * @param {String} replacement - Replacement string
+ * @param {Object} groups - {count, names}
+ * @returns {Array} - Bad references, e.g. ['$3', '$<mood>']
+ */
+function findMissingGroupReferences(replacement, groups) {
+    const missing = [];
+
+    for (const match of String(replacement || '').matchAll(/\$(\$|\d{1,2}|<([^>]*)>)/g)) {
+        const [token, symbol, name] = match;
+        if (symbol === '$') continue;
+
+        if (name !== undefined) {
+            if (!groups.names.has(name)) missing.push(token);
+            continue;
+        }
+
+        // Same two-digit fallback as StaticFixer.expandReplacement
+        let index = parseInt(symbol);
+        if (symbol.length === 2 && index > groups.count) index = parseInt(symbol[0]);
+        if (index > groups.count) missing.push(`$${index}`);
+    }
+
+    return [...new Set(missing)];
+}
+
+/**
+ * Measure how much of a corpus a regex matches
+ * @param {RegExp} regex - Compiled regex (flags reused, 'g' forced)
+ * @param {String} corpus - Sample text
+ * @returns {Object} - {count, covered}
+ */
+function measureCorpus(regex, corpus) {
+    const scanner = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : `${regex.flags}g`);
+    let count = 0;
+    let covered = 0;
+
+    let match;
+    while ((match = scanner.exec(corpus)) !== null) {
+        if (match[0].length === 0) {
+            scanner.lastIndex++;
+            continue;
+        }
+        count++;
+        covered += match[0].length;
+    }
+
+    return { count, covered };
+}
+
+/**
+ * Lint a rule
+ * @param {Object} rule - {findRegex, flags?, replaceString}
+ * @param {Object} options - {corpus: sample text or null to skip the breadth check}
+ * @returns {Array} - Findings: {level: 'error'|'warning', code, message}
+ */
+export function lintRule(rule, options = {}) {
+    const findings = [];
+    const add = (level, code, message) => findings.push({ level, code, message });
+
+    const parsed = parseRegexString(rule.findRegex || '');
+    const flags = (rule.flags ?? parsed.flags ?? 'gi').replace(/[gy]/g, '');
+
+    let regex;
+    try {
+        regex = new RegExp(parsed.source, flags);
+    } catch (error) {
+        add('error', 'invalid_regex', `Regex does not compile: ${error.message}`);
+        return findings;
+    }
+
+    const nested = findNestedQuantifiers(parsed.source);
+    nested.forEach(({ start, end }) => {
+        add('error', 'nested_quantifier',
+            `Nested quantifier ${parsed.source.slice(start, end)} can backtrack catastrophically and freeze the UI`);
+    });
+
+    findAdjacentUnbounded(parsed.source).forEach(snippet => {
+        add('warning', 'adjacent_quantifiers',
+            `${snippet} has two unbounded quantifiers competing for the same text (slow on long messages)`);
+    });
+
+    if (canMatchEmpty(regex)) {
+        add('error', 'empty_match', 'Pattern matches the empty string; make at least one part required');
+    }
+
+    const groups = describeGroups(regex, parsed.source);
+    const missing = findMissingGroupReferences(rule.replaceString, groups);
+    if (missing.length > 0) {
+        add('error', 'missing_group',
+            `Replacement uses ${missing.join(', ')} but the regex has ${groups.count} capture group${groups.count === 1 ? '' : 's'}`);
+    }
+
+    // Running a pattern that may backtrack catastrophically is exactly what we're avoiding
+    const corpus = options.corpus === undefined ? SAMPLE_CORPUS : options.corpus;
+    if (corpus && nested.length === 0) {
+        const { count, covered } = measureCorpus(regex, corpus);
+        const rate = count / (corpus.length / 1000);
+        if (rate > BROAD_MATCH_RATE || covered / corpus.length > BROAD_COVERAGE) {
+            add('warning', 'too_broad',
+                `Pattern matched ordinary prose ${count} time${count === 1 ? '' : 's'} in the sample text; it may rewrite text that isn't slop`);
+        }
+    }
+
+    return findings;
+}
+
+/**
+ * Check whether findings contain an error
+ * @param {Array} findings - Result of lintRule()
+ * @returns {Boolean}
+ */
+export function hasLintErrors(findings) {
+    return findings.some(finding => finding.level === 'error');
+}
+
+/**
+ * Format findings as one line per finding
+ * @param {Array} findings - Result of lintRule()
+ * @returns {String}
+ */
+export function formatLintFindings(findings) {
+    return findings.map(finding => `${finding.level === 'error' ? '⛔' : '⚠️'} ${finding.message}`).join('\n');
+}
@@ -0,0 +1,149 @@
+/**
+ * Rule Overrides
+ * Used by Module A (Static Fixer), Quality Mode and Module C (Proactive Injector)
+ *
+ * Some characters are supposed to have a pounding heart or a gravelly voice, so
+ * rules, rule categories, blocked phrases and writing constraints can be changed
+ * per character card and per chat. An override layer looks like:
+ *   {
+ *     rules:          {ruleKey: true|false},
+ *     categories:     {category: true|false},
+ *     blockedPhrases: {add: [phrase], remove: [phrase]},
+ *     constraints:    {minWords, maxWords, ..., perspective}
+ *   }
+ * Layers are applied in order (global settings -> character -> chat), so the chat
+ * wins over the character. Inside one layer a rule entry beats a category entry.
+ */
+
+export const CONSTRAINT_KEYS = ['minWords', 'maxWords', 'minParagraphs', 'maxParagraphs', 'minDialogues', 'maxDialogues', 'perspective'];
+
+const PERSPECTIVES = ['1st', '2nd', '3rd'];
+
+/**
+ * Create an empty override layer
+ * @returns {Object}
+ */
+export function createOverrides() {
+    return {
+        rules: {},
+        categories: {},
+        blockedPhrases: { add: [], remove: [] },
+        constraints: {}
+    };
+}
+
+/**
+ * Clean up a stored override layer, dropping anything malformed
+ * @param {*} raw - Stored value (character extension field or chat metadata)
+ * @returns {Object} - Override layer
+ */
+export function normalizeOverrides(raw) {
+    const overrides = createOverrides();
+    if (!raw || typeof raw !== 'object') return overrides;
+
+    const copyFlags = (source, target) => {
+        if (!source || typeof source !== 'object') return;
+        Object.entries(source).forEach(([key, value]) => {
+            if (typeof value === 'boolean') target[key] = value;
+        });
+    };
+    copyFlags(raw.rules, overrides.rules);
+    copyFlags(raw.categories, overrides.categories);
+
+    ['add', 'remove'].forEach(list => {
+        const phrases = Array.isArray(raw.blockedPhrases?.[list]) ? raw.blockedPhrases[list] : [];
+        overrides.blockedPhrases[list] = [...new Set(phrases
+            .filter(phrase => typeof phrase === 'string' && phrase.trim())
+            .map(phrase => phrase.trim()))];
+    });
+
+    CONSTRAINT_KEYS.forEach(key => {
+        const value = raw.constraints?.[key];
+        if (key === 'perspective') {
+            if (PERSPECTIVES.includes(value)) overrides.constraints.perspective = value;
+        } else if (Number.isFinite(value) && value >= 0) {
+            overrides.constraints[key] = value;
+        }
+    });
+
+    return overrides;
+}
+
+/**
+ * Check whether a layer changes anything
+ * @param {Object} overrides - Override layer
+ * @returns {Boolean}
+ */
+export function hasOverrides(overrides) {
+    if (!overrides) return false;
+    return Object.keys(overrides.rules || {}).length > 0
+        || Object.keys(overrides.categories || {}).length > 0
+        || (overrides.blockedPhrases?.add || []).length > 0
+        || (overrides.blockedPhrases?.remove || []).length > 0
+        || Object.keys(overrides.constraints || {}).length > 0;
+}
+
+/**
+ * Decide whether a rule runs under the given override layers
+ * @param {Object} rule - Rule object
+ * @param {String} ruleKey - Key the rule is stored under (id or scriptName)
+ * @param {Array} layers - Override layers, least specific first
+ * @returns {Boolean} - The most specific override, else the rule's own state
+ */
+export function isRuleEnabled(rule, ruleKey, layers = []) {
+    const category = rule.category || 'Uncategorized';
+
+    for (let i = layers.length - 1; i >= 0; i--) {
+        const layer = layers[i];
+        if (!layer) continue;
+        if (typeof layer.rules?.[ruleKey] === 'boolean') return layer.rules[ruleKey];
+        if (typeof layer.categories?.[category] === 'boolean') return layer.categories[category];
+    }
+
+    return !rule.disabled;
+}
+
+/**
+ * Apply the blocked phrase overrides to the global blacklist
+ * @param {Array} globalPhrases - settings.customBlockedPhrases ({phrase, addedDate})
+ * @param {Array} layers - Override layers, least specific first
+ * @returns {Array} - Effective blacklist in the same format
+ */
+export function resolveBlockedPhrases(globalPhrases = [], layers = []) {
+    let phrases = [...globalPhrases];
+
+    layers.forEach(layer => {
+        if (!layer) return;
+        const removed = new Set((layer.blockedPhrases?.remove || []).map(phrase => phrase.toLowerCase()));
+        phrases = phrases.filter(item => !removed.has(item.phrase.toLowerCase()));
+
+        (layer.blockedPhrases?.add || []).forEach(phrase => {
+            if (!phrases.some(item => item.phrase.toLowerCase() === phrase.toLowerCase())) {
+                phrases.push({ phrase, addedDate: null, override: true });
+            }
+        });
+    });
+
+    return phrases;
+}
+
+/**
+ * Apply the constraint overrides to the global constraint values
+ * @param {Object} settings - Extension settings (minWords, maxWords, ..., perspective)
+ * @param {Array} layers - Override layers, least specific first
+ * @returns {Object} - Effective constraints, one value per CONSTRAINT_KEYS entry
+ */
+export function resolveConstraints(settings, layers = []) {
+    const constraints = {};
+    CONSTRAINT_KEYS.forEach(key => {
+        constraints[key] = settings[key];
+    });
+
+    layers.forEach(layer => {
+        Object.entries(layer?.constraints || {}).forEach(([key, value]) => {
+            if (CONSTRAINT_KEYS.includes(key)) constraints[key] = value;
+        });
+    });
+
+    return constraints;
+}
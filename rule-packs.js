@@ -0,0 +1,362 @@
+/**
+ * Rule Packs
+ * Used by Module A (Static Fixer) and the Rule Manager
+ *
+ * A pack is a named, versioned bundle of rules:
+ *   {id, name, version, author, category, description, rules: [...]}
+ * Installed packs live in settings.installedPacks (packId -> pack) and are
+ * enabled, disabled, updated and removed independently of each other and of
+ * the dynamic rules. Rule IDs are namespaced as "packId::ruleId" on install,
+ * so a pack can never collide with STATIC_###, AI, manual or another pack's IDs.
+ */
+
+import { formatLintFindings, hasLintErrors, lintRule } from './rule-linter.js';
+
+const LOG_PREFIX = '[RulePacks]';
+
+export const PACK_ID_SEPARATOR = '::';
+
+const PACK_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const VERSION_PATTERN = /^\d+(\.\d+){0,3}$/;
+
+/**
+ * Build a namespaced rule ID
+ * @param {String} packId - Pack ID
+ * @param {String} ruleId - Rule ID inside the pack
+ * @returns {String} - "packId::ruleId"
+ */
+export function namespaceRuleId(packId, ruleId) {
+    return `${packId}${PACK_ID_SEPARATOR}${ruleId}`;
+}
+
+/**
+ * Strip the pack namespace from a rule ID
+ * @param {String} ruleId - Namespaced or plain rule ID
+ * @returns {String} - Rule ID as written in the pack file
+ */
+export function localRuleId(ruleId) {
+    const index = String(ruleId).indexOf(PACK_ID_SEPARATOR);
+    return index === -1 ? String(ruleId) : String(ruleId).slice(index + PACK_ID_SEPARATOR.length);
+}
+
+/**
+ * Compare two dotted version strings
+ * @param {String} a - Version, e.g. '1.2.0'
+ * @param {String} b - Version
+ * @returns {Number} - Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+    const left = String(a || '0').split('.').map(n => parseInt(n) || 0);
+    const right = String(b || '0').split('.').map(n => parseInt(n) || 0);
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Check a pack's metadata and rules
+ * @param {*} pack - Parsed pack JSON
+ * @returns {Array} - Problems found (empty if the pack is usable)
+ */
+export function validatePack(pack) {
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+        return ['Pack must be a JSON object'];
+    }
+
+    const problems = [];
+    if (typeof pack.id !== 'string' || !PACK_ID_PATTERN.test(pack.id)) {
+        problems.push('Pack id must be lowercase letters, digits, "-" or "_"');
+    }
+    if (typeof pack.name !== 'string' || !pack.name.trim()) {
+        problems.push('Pack name is missing');
+    }
+    if (typeof pack.version !== 'string' || !VERSION_PATTERN.test(pack.version)) {
+        problems.push('Pack version must look like 1.0.0');
+    }
+    if (!Array.isArray(pack.rules) || pack.rules.length === 0) {
+        problems.push('Pack has no rules');
+        return problems;
+    }
+
+    const seen = new Set();
+    pack.rules.forEach((rule, index) => {
+        const label = rule?.scriptName || `#${index + 1}`;
+        if (!rule || typeof rule.findRegex !== 'string' || !rule.findRegex) {
+            problems.push(`Rule ${label} has no findRegex`);
+            return;
+        }
+        if (typeof rule.replaceString !== 'string') {
+            problems.push(`Rule ${label} has no replaceString`);
+        }
+        if (rule.id !== undefined) {
+            if (String(rule.id).includes(PACK_ID_SEPARATOR)) {
+                problems.push(`Rule ${label} id must not contain "${PACK_ID_SEPARATOR}"`);
+            } else if (seen.has(String(rule.id))) {
+                problems.push(`Rule id "${rule.id}" is used twice`);
+            }
+            seen.add(String(rule.id));
+        }
+    });
+
+    return problems;
+}
+
+export class RulePackManager {
+    constructor(settings, saveSettingsCallback, showNotification) {
+        this.settings = settings;
+        this.saveSettings = saveSettingsCallback;
+        this.showNotification = showNotification;
+        this.bundledPacks = []; // Packs shipped in packs/, loaded by fetchBundledPacks()
+    }
+
+    /**
+     * Get the installed packs map, creating it if needed
+     * @returns {Object} - packId -> installed pack
+     */
+    getInstalledMap() {
+        if (!this.settings.installedPacks || typeof this.settings.installedPacks !== 'object') {
+            this.settings.installedPacks = {};
+        }
+        return this.settings.installedPacks;
+    }
+
+    /**
+     * Get installed packs sorted by name
+     * @returns {Array} - Installed packs
+     */
+    getInstalledPacks() {
+        return Object.values(this.getInstalledMap())
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get an installed pack
+     * @param {String} packId - Pack ID
+     * @returns {Object|null}
+     */
+    getPack(packId) {
+        return this.getInstalledMap()[packId] || null;
+    }
+
+    /**
+     * Load the packs bundled with the extension
+     * packs/index.json lists the pack files to load.
+     * @param {String} basePath - Extension folder URL
+     * @returns {Promise<Array>} - Valid bundled packs
+     */
+    async fetchBundledPacks(basePath) {
+        const packs = [];
+
+        try {
+            const response = await fetch(`${basePath}/packs/index.json`);
+            const files = await response.json();
+
+            for (const file of files) {
+                try {
+                    const packResponse = await fetch(`${basePath}/packs/${file}`);
+                    const pack = await packResponse.json();
+                    const problems = validatePack(pack);
+                    if (problems.length > 0) {
+                        console.warn(`${LOG_PREFIX} Skipping bundled pack ${file}: ${problems.join('; ')}`);
+                        continue;
+                    }
+                    packs.push(pack);
+                } catch (error) {
+                    console.error(`${LOG_PREFIX} Failed to load bundled pack ${file}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error(`${LOG_PREFIX} Failed to load bundled pack index:`, error);
+        }
+
+        this.bundledPacks = packs;
+        console.log(`${LOG_PREFIX} Found ${packs.length} bundled packs`);
+        return packs;
+    }
+
+    /**
+     * Get a bundled pack with a newer version than the installed one
+     * @param {String} packId - Pack ID
+     * @returns {Object|null} - The newer bundled pack, if any
+     */
+    getAvailableUpdate(packId) {
+        const installed = this.getPack(packId);
+        const bundled = this.bundledPacks.find(pack => pack.id === packId);
+        if (!installed || !bundled) return null;
+        return compareVersions(bundled.version, installed.version) > 0 ? bundled : null;
+    }
+
+    /**
+     * Install a pack, or update it if it is already installed
+     * An update keeps the pack's enabled state and any rules the user switched off.
+     * @param {Object} pack - Pack JSON
+     * @param {String} source - 'bundled' or 'file'
+     * @returns {Object|null} - The installed pack, or null if the pack is invalid
+     */
+    installPack(pack, source = 'file') {
+        const problems = validatePack(pack);
+        if (problems.length > 0) {
+            console.warn(`${LOG_PREFIX} Invalid pack:`, problems);
+            this.showNotification(`Invalid rule pack: ${problems[0]}`, 'error');
+            return null;
+        }
+
+        const packs = this.getInstalledMap();
+        const previous = packs[pack.id];
+        const userDisabled = new Set((previous?.rules || [])
+            .filter(rule => rule.disabled && !rule.lintDisabled)
+            .map(rule => rule.id));
+
+        const rules = pack.rules.map((rule, index) => {
+            const localId = rule.id !== undefined ? String(rule.id) : `rule_${String(index + 1).padStart(3, '0')}`;
+            const id = namespaceRuleId(pack.id, localId);
+            const installed = {
+                ...rule,
+                id,
+                category: rule.category || pack.category || pack.id,
+                scope: rule.scope || 'all',
+                disabled: !!rule.disabled || userDisabled.has(id)
+            };
+
+            // Rules the linter rejects are kept (so the pack stays whole) but never activated
+            const findings = lintRule(installed, { corpus: null });
+            if (hasLintErrors(findings)) {
+                console.warn(`${LOG_PREFIX} "${installed.scriptName}" in ${pack.id} installed disabled:\n${formatLintFindings(findings)}`);
+                installed.disabled = true;
+                installed.lintDisabled = true;
+            }
+            return installed;
+        });
+
+        packs[pack.id] = {
+            id: pack.id,
+            name: pack.name,
+            version: pack.version,
+            author: pack.author || 'Unknown',
+            category: pack.category || '',
+            description: pack.description || '',
+            source,
+            installedAt: previous?.installedAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            enabled: previous ? previous.enabled : true,
+            rules
+        };
+        this.saveSettings();
+
+        const action = previous ? `Updated to v${pack.version}` : `Installed v${pack.version}`;
+        console.log(`${LOG_PREFIX} ${action}: ${pack.name} (${rules.length} rules)`);
+        return packs[pack.id];
+    }
+
+    /**
+     * Install a pack from a JSON string (e.g. a file picked by the user)
+     * @param {String} json - Pack JSON
+     * @returns {Object|null} - The installed pack
+     */
+    importPack(json) {
+        try {
+            return this.installPack(JSON.parse(json), 'file');
+        } catch (error) {
+            console.error(`${LOG_PREFIX} Import failed:`, error);
+            this.showNotification(`Pack import failed: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Remove an installed pack
+     * @param {String} packId - Pack ID
+     * @returns {Boolean} - True if the pack was installed
+     */
+    uninstallPack(packId) {
+        const packs = this.getInstalledMap();
+        if (!packs[packId]) return false;
+
+        const name = packs[packId].name;
+        delete packs[packId];
+        this.saveSettings();
+        console.log(`${LOG_PREFIX} Uninstalled ${name}`);
+        return true;
+    }
+
+    /**
+     * Turn a whole pack on or off
+     * @param {String} packId - Pack ID
+     * @param {Boolean} enabled - New state
+     * @returns {Boolean} - True if the pack exists
+     */
+    setPackEnabled(packId, enabled) {
+        const pack = this.getPack(packId);
+        if (!pack) return false;
+
+        pack.enabled = !!enabled;
+        this.saveSettings();
+        console.log(`${LOG_PREFIX} ${pack.enabled ? 'Enabled' : 'Disabled'} ${pack.name}`);
+        return true;
+    }
+
+    /**
+     * Turn a single rule inside a pack on or off
+     * @param {String} packId - Pack ID
+     * @param {String} ruleId - Namespaced rule ID
+     * @param {Boolean} enabled - New state
+     * @returns {Boolean} - True if the rule was changed
+     */
+    setRuleEnabled(packId, ruleId, enabled) {
+        const rule = this.getPack(packId)?.rules.find(r => r.id === ruleId);
+        if (!rule) return false;
+
+        if (enabled && rule.lintDisabled) {
+            this.showNotification(`"${rule.scriptName}" has lint errors and can't be enabled`, 'warning');
+            return false;
+        }
+
+        rule.disabled = !enabled;
+        this.saveSettings();
+        return true;
+    }
+
+    /**
+     * Get the rules of every enabled pack, ready for Module A
+     * @returns {Array} - Enabled rules tagged with packId/isPack
+     */
+    getActiveRules() {
+        return this.getInstalledPacks()
+            .filter(pack => pack.enabled)
+            .flatMap(pack => pack.rules
+                .filter(rule => !rule.disabled)
+                .map(rule => ({ ...rule, packId: pack.id, isPack: true })));
+    }
+
+    /**
+     * Export an installed pack in its file format (rule IDs without the namespace)
+     * @param {String} packId - Pack ID
+     * @returns {String|null} - JSON string
+     */
+    exportPack(packId) {
+        const pack = this.getPack(packId);
+        if (!pack) {
+            this.showNotification('Pack not found', 'warning');
+            return null;
+        }
+
+        const exportData = {
+            id: pack.id,
+            name: pack.name,
+            version: pack.version,
+            author: pack.author,
+            category: pack.category,
+            description: pack.description,
+            rules: pack.rules.map(rule => {
+                const { lintDisabled, ...rest } = rule;
+                return { ...rest, id: localRuleId(rule.id), disabled: lintDisabled ? false : rest.disabled };
+            })
+        };
+
+        console.log(`${LOG_PREFIX} Exported ${pack.name}`);
+        return JSON.stringify(exportData, null, 2);
+    }
+}
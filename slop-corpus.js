@@ -0,0 +1,164 @@
+/**
+ * Slop Corpus
+ * Used by Module B (Passive Watcher), Module C (Proactive Injector) and Module D (AI Regex Generator)
+ *
+ * Module B only sees the current chat. The worst slop is model-wide, so phrases
+ * Module B flags in any chat are also aggregated here, in settings.globalCorpus:
+ *   {version, phrases: {phrase: {score, count, models, profiles, firstSeen, updated}}}
+ * `models` and `profiles` count how often each model / connection profile produced
+ * the phrase. Scores halve every `halfLifeDays`, so habits a model dropped fade out.
+ */
+
+const LOG_PREFIX = '[SlopCorpus]';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Entries whose decayed score falls below this are pruned
+const MIN_KEPT_SCORE = 0.25;
+// Hard cap on stored phrases (lowest scores go first)
+const MAX_PHRASES = 2000;
+
+export class SlopCorpus {
+    constructor(settings, saveSettingsCallback, showNotification) {
+        this.settings = settings;
+        this.saveSettings = saveSettingsCallback;
+        this.showNotification = showNotification;
+    }
+
+    /**
+     * Get the store, creating it if needed
+     * @returns {Object} - {version, phrases}
+     */
+    getStore() {
+        const store = this.settings.globalCorpus;
+        if (!store || typeof store !== 'object' || store.version !== 1 || typeof store.phrases !== 'object') {
+            this.settings.globalCorpus = { version: 1, phrases: {} };
+        }
+        return this.settings.globalCorpus;
+    }
+
+    /**
+     * Get the configured half-life
+     * @returns {Number} - Days
+     */
+    getHalfLifeDays() {
+        const days = Number(this.settings.globalCorpusHalfLifeDays);
+        return Number.isFinite(days) && days > 0 ? days : 30;
+    }
+
+    /**
+     * Get an entry's score after decay
+     * @param {Object} entry - Stored phrase entry
+     * @param {Number} now - Timestamp (ms)
+     * @returns {Number}
+     */
+    decayedScore(entry, now = Date.now()) {
+        const ageDays = Math.max(0, now - (entry.updated || now)) / DAY_MS;
+        return entry.score * Math.pow(0.5, ageDays / this.getHalfLifeDays());
+    }
+
+    /**
+     * Record phrases produced by one AI message
+     * @param {Array} phrases - Phrases ({phrase} objects or strings)
+     * @param {Object} source - {model, profile} that produced the message (optional)
+     * @returns {Number} - Number of phrases recorded
+     */
+    recordPhrases(phrases, source = {}) {
+        if (!this.settings.globalCorpusEnabled || !phrases || phrases.length === 0) return 0;
+
+        const store = this.getStore();
+        const now = Date.now();
+        const model = source.model || 'unknown';
+
+        phrases.forEach(item => {
+            const phrase = typeof item === 'string' ? item : item.phrase;
+            if (!phrase) return;
+
+            const entry = store.phrases[phrase] || { score: 0, count: 0, models: {}, profiles: {}, firstSeen: now, updated: now };
+            entry.score = this.decayedScore(entry, now) + 1;
+            entry.updated = now;
+            entry.count++;
+            entry.models[model] = (entry.models[model] || 0) + 1;
+            if (source.profile) {
+                entry.profiles[source.profile] = (entry.profiles[source.profile] || 0) + 1;
+            }
+            store.phrases[phrase] = entry;
+        });
+
+        this.prune(now);
+        this.saveSettings();
+        return phrases.length;
+    }
+
+    /**
+     * Drop phrases that decayed away, and the weakest ones above the size cap
+     * @param {Number} now - Timestamp (ms)
+     */
+    prune(now = Date.now()) {
+        const store = this.getStore();
+        const scored = Object.entries(store.phrases)
+            .map(([phrase, entry]) => ({ phrase, score: this.decayedScore(entry, now) }));
+
+        const doomed = scored.filter(item => item.score < MIN_KEPT_SCORE);
+        const kept = scored.filter(item => item.score >= MIN_KEPT_SCORE);
+        if (kept.length > MAX_PHRASES) {
+            kept.sort((a, b) => b.score - a.score);
+            doomed.push(...kept.slice(MAX_PHRASES));
+        }
+
+        doomed.forEach(item => delete store.phrases[item.phrase]);
+        if (doomed.length > 0) {
+            console.log(`${LOG_PREFIX} Pruned ${doomed.length} faded phrases`);
+        }
+    }
+
+    /**
+     * Get the highest-scoring phrases
+     * With a model, each score is scaled by that model's share of the sightings,
+     * so phrases other models produce rank lower (and ones it never produced drop out).
+     * @param {Object} options - {limit, minScore, model} (all optional)
+     * @returns {Array} - [{phrase, score, count, models, profiles, source: 'global'}] sorted by score
+     */
+    getTopPhrases({ limit = 20, minScore = 2, model = null } = {}) {
+        const now = Date.now();
+
+        return Object.entries(this.getStore().phrases)
+            .map(([phrase, entry]) => {
+                const share = model ? (entry.models[model] || 0) / entry.count : 1;
+                return {
+                    phrase,
+                    score: this.decayedScore(entry, now) * share,
+                    count: entry.count,
+                    models: { ...entry.models },
+                    profiles: { ...entry.profiles },
+                    source: 'global'
+                };
+            })
+            .filter(item => item.score > 0 && item.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Get store statistics
+     * @returns {Object} - {phrases, models: {model: phrase count}}
+     */
+    getStats() {
+        const entries = Object.values(this.getStore().phrases);
+        const models = {};
+        entries.forEach(entry => {
+            Object.keys(entry.models).forEach(model => {
+                models[model] = (models[model] || 0) + 1;
+            });
+        });
+        return { phrases: entries.length, models };
+    }
+
+    /**
+     * Forget everything
+     */
+    clear() {
+        this.settings.globalCorpus = { version: 1, phrases: {} };
+        this.saveSettings();
+        console.log(`${LOG_PREFIX} Cleared`);
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * SillyTavern Regex Extension Format
+ * Used by Module A (Static Fixer) and Module D (AI Regex Generator)
+ *
+ * Converts between our rules and the scripts used by SillyTavern's built-in
+ * Regex extension:
+ *   {id, scriptName, findRegex: '/pattern/flags', replaceString, trimStrings,
+ *    placement, disabled, markdownOnly, promptOnly, runOnEdit, substituteRegex,
+ *    minDepth, maxDepth}
+ * Only scripts that edit AI output are active here. Display-only (markdownOnly)
+ * and prompt-only scripts are imported disabled so they still round-trip.
+ * While the global scripts are live-linked, Module A runs the ones that only edit
+ * AI output and SillyTavern's copies are switched off (marked with LINKED_SCRIPT_FIELD),
+ * so each replacement runs once. Scripts with other placements too (user input,
+ * world info, ...) stay with SillyTavern. Unlinking switches them back on.
+ * The switch only exists in memory: saved settings keep the scripts enabled, so
+ * SillyTavern runs them again whenever Prose Guardian isn't loaded.
+ */
+
+// Where a Regex extension script runs (subset of SillyTavern's regex_placement)
+export const ST_REGEX_PLACEMENT = {
+    USER_INPUT: 1,
+    AI_OUTPUT: 2,
+    SLASH_COMMAND: 3,
+    WORLD_INFO: 5,
+    REASONING: 6
+};
+
+// Marks a global script switched off because Module A runs it through the live link.
+// Holds {disabled}: the script's own state, which SillyTavern's toggle still changes.
+export const LINKED_SCRIPT_FIELD = 'proseGuardianLinked';
+
+const VALID_FLAGS = /^[dgimsuvy]*$/;
+
+/**
+ * Split a '/pattern/flags' string into source and flags
+ * @param {String} input - findRegex as written
+ * @returns {Object} - {source, flags} (flags is null when the input isn't slash-delimited)
+ */
+export function parseRegexString(input) {
+    const match = String(input).match(/^\/([\s\S]+)\/([a-z]*)$/i);
+    if (!match || !VALID_FLAGS.test(match[2]) || new Set(match[2]).size !== match[2].length) {
+        return { source: String(input), flags: null };
+    }
+    return { source: match[1], flags: match[2] };
+}
+
+/**
+ * Check whether an object looks like a Regex extension script
+ * @param {*} entry - Parsed JSON value
+ * @returns {Boolean}
+ */
+export function isSTRegexScript(entry) {
+    return !!entry && typeof entry === 'object' && typeof entry.findRegex === 'string' &&
+        (Array.isArray(entry.placement) || Array.isArray(entry.trimStrings) || 'markdownOnly' in entry);
+}
+
+/**
+ * Check whether parsed JSON is one script or a list of scripts
+ * @param {*} data - Parsed JSON
+ * @returns {Boolean}
+ */
+export function isSTRegexScriptList(data) {
+    if (Array.isArray(data)) return data.length > 0 && data.every(isSTRegexScript);
+    return isSTRegexScript(data);
+}
+
+/**
+ * Check whether a script would edit AI messages
+ * @param {Object} script - Regex extension script
+ * @returns {Boolean}
+ */
+export function appliesToAIOutput(script) {
+    return (script.placement || []).includes(ST_REGEX_PLACEMENT.AI_OUTPUT) &&
+        !script.markdownOnly && !script.promptOnly;
+}
+
+/**
+ * Check whether the live link can take a script over (it only edits AI output)
+ * @param {Object} script - Regex extension script
+ * @returns {Boolean}
+ */
+export function isLinkableScript(script) {
+    const placement = script.placement || [];
+    return placement.length > 0 && placement.every(place => place === ST_REGEX_PLACEMENT.AI_OUTPUT) &&
+        appliesToAIOutput(script);
+}
+
+/**
+ * Convert a Regex extension script into a rule
+ * @param {Object} script - Regex extension script
+ * @returns {Object} - Rule with findRegex/flags split and the original script kept in `stScript`
+ */
+export function fromSTRegexScript(script) {
+    const { source, flags } = parseRegexString(script.findRegex);
+
+    // {{match}} and $0 are the whole match in the Regex extension
+    const replaceString = String(script.replaceString ?? '')
+        .replace(/\{\{match\}\}/gi, '$$&')
+        .replace(/\$0(?!\d)/g, '$$&');
+
+    // Everything we don't map is kept for export (including the original disabled state)
+    const stScript = { ...script };
+    ['scriptName', 'findRegex', 'replaceString', 'trimStrings'].forEach(key => delete stScript[key]);
+
+    // A script handed over through the live link keeps its own state apart from the switch
+    const disabled = script[LINKED_SCRIPT_FIELD] ? script[LINKED_SCRIPT_FIELD].disabled : !!script.disabled;
+    stScript.disabled = disabled;
+
+    return {
+        scriptName: script.scriptName || 'Regex Script',
+        findRegex: source,
+        flags: flags ?? '',
+        replaceString,
+        trimStrings: (script.trimStrings || []).filter(Boolean),
+        scope: 'all',
+        disabled: disabled || !appliesToAIOutput(script),
+        stScript
+    };
+}
+
+/**
+ * Switch a global script off while Module A runs it through the live link, or back on
+ * @param {Object} script - Regex extension script (changed in place)
+ * @param {Boolean} linked - True while the live link is on
+ * @returns {Boolean} - True if the script changed
+ */
+export function setScriptLinked(script, linked) {
+    if (!isSTRegexScript(script)) return false;
+
+    if (linked && !script[LINKED_SCRIPT_FIELD] && !script.disabled && isLinkableScript(script)) {
+        // Neither property is enumerable, so saving the settings still writes the script as enabled
+        const state = { disabled: false };
+        Object.defineProperty(script, LINKED_SCRIPT_FIELD, { value: state, enumerable: false, configurable: true });
+        Object.defineProperty(script, 'disabled', {
+            get: () => true,
+            set: value => { state.disabled = !!value; },
+            enumerable: false,
+            configurable: true
+        });
+        return true;
+    }
+    if (!linked && script[LINKED_SCRIPT_FIELD]) {
+        const { disabled } = script[LINKED_SCRIPT_FIELD];
+        delete script[LINKED_SCRIPT_FIELD];
+        delete script.disabled;
+        script.disabled = disabled;
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Create an ID for a new Regex extension script
+ * @returns {String} - UUID
+ */
+function createScriptId() {
+    if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+    });
+}
+
+/**
+ * Convert a rule into a Regex extension script
+ * {{random:}} blocks are kept as-is; SillyTavern expands them with its own macro,
+ * which ignores weights and {{pick:}} pools.
+ * @param {Object} rule - Rule
+ * @returns {Object} - Regex extension script
+ */
+export function toSTRegexScript(rule) {
+    const parsed = parseRegexString(rule.findRegex);
+    const flags = rule.flags ?? parsed.flags ?? 'gi';
+
+    const script = {
+        id: createScriptId(),
+        placement: [ST_REGEX_PLACEMENT.AI_OUTPUT],
+        markdownOnly: false,
+        promptOnly: false,
+        runOnEdit: true,
+        substituteRegex: 0,
+        minDepth: null,
+        maxDepth: null,
+        ...(rule.stScript || {}),
+        scriptName: rule.scriptName,
+        findRegex: `/${parsed.source}/${flags}`,
+        replaceString: String(rule.replaceString ?? '').replace(/\$&/g, '{{match}}'),
+        trimStrings: rule.trimStrings || []
+    };
+
+    // Scripts that never ran here keep the state they were imported with
+    script.disabled = appliesToAIOutput(script) ? !!rule.disabled : !!script.disabled;
+    return script;
+}
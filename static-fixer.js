@@ -6,19 +6,133 @@
  * with randomized alternatives. No API calls required.
  */
 
+import {
+    DEFAULT_PROTECTED_SPANS,
+    MASK_TOKEN_SOURCE,
+    compileSpanPatterns,
+    containsMask,
+    maskProtectedSpans,
+    restoreProtectedSpans,
+    restoredOffset,
+    segmentDialogue
+} from './text-tokenizer.js';
+import { parseTemplate, renderTemplate, weightedIndex } from './replacement-template.js';
+import { isSentenceStart, repairGrammarWithRanges } from './grammar-repair.js';
+import { convertLegacyPatterns } from './legacy-patterns.js';
+import { parseRegexString } from './st-regex-format.js';
+import { formatLintFindings, hasLintErrors, lintRule } from './rule-linter.js';
+import { isRuleEnabled } from './rule-overrides.js';
+
+// Where in a message a rule may apply
+export const RULE_SCOPES = ['narration', 'dialogue', 'all'];
+
+/**
+ * Create a deterministic random source (mulberry32)
+ * @param {Number|String} seed - Numeric seed, or any string (hashed)
+ * @returns {Function} - Random function returning [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let state = 0;
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        state = seed >>> 0;
+    } else {
+        const source = String(seed);
+        for (let i = 0; i < source.length; i++) {
+            state = Math.imul(state ^ source.charCodeAt(i), 2654435761) >>> 0;
+        }
+    }
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 export class StaticFixer {
     constructor() {
         this.rules = [];
+        this.compiledRules = [];
+        this.linkedRules = []; // Rules mirrored from SillyTavern's Regex extension
         this.enabled = true;
+        this.grammarRepair = true; // Fix articles, case and spacing around replacements
+
+        // Priority overrides set from the Rule Manager: ruleKey -> priority
+        this.priorities = {};
+
+        // Per-rule hit statistics: ruleKey -> {hits, lastHit, charsReplaced}
+        this.ruleStats = {};
+        this.onStatsChanged = null;
+
+        // Regions (code, markup, URLs, OOC) that rules must never rewrite
+        this.protectedPatterns = compileSpanPatterns(DEFAULT_PROTECTED_SPANS);
+
+        // Shared alternative pools for {{pick:name}} blocks: name -> [alternatives]
+        this.pools = {};
+
+        // Alternatives drawn recently, per rule block: key -> [alternative text]
+        // Lives in chat metadata so each chat has its own memory.
+        this.choiceMemory = null;
+        this.onChoiceMemoryChanged = null;
+
+        // Fixed seed for alternative selection (null = Math.random)
+        this.seed = null;
+
+        // Random source and memory of the run in progress
+        this.activeRandom = Math.random;
+        this.activeMemory = null;
+    }
+
+    /**
+     * Attach the no-repeat memory for the current chat
+     * @param {Object|null} store - Object to keep recent choices in (null disables no-repeat)
+     * @param {Function} onChange - Called after commit() changed the memory
+     */
+    setChoiceMemory(store, onChange = null) {
+        this.choiceMemory = store;
+        this.onChoiceMemoryChanged = onChange;
+    }
+
+    /**
+     * Use a fixed seed for alternative selection
+     * Every process run starts a fresh random source from this seed, so the
+     * same input always gives the same output.
+     * @param {Number|String|null} seed - Seed, or null/empty for Math.random
+     */
+    setSeed(seed) {
+        this.seed = seed === undefined || seed === '' ? null : seed;
+    }
+
+    /**
+     * Set the shared alternative pools used by {{pick:name}} blocks
+     * @param {Object} pools - Map of pool name to array of alternatives
+     */
+    setPools(pools) {
+        this.pools = pools || {};
+        console.log(`[StaticFixer] Loaded ${Object.keys(this.pools).length} alternative pools`);
+    }
+
+    /**
+     * Set which regions of a message are protected from replacement
+     * @param {Array} patterns - Array of {id, name, pattern} or regex source strings
+     */
+    setProtectedSpans(patterns) {
+        this.protectedPatterns = compileSpanPatterns(patterns);
+        console.log(`[StaticFixer] Protecting ${this.protectedPatterns.length} span types`);
     }
 
     /**
      * Load regex rules from JSON file and merge with dynamic rules from settings
      * @param {String} rulesFilePath - Path to static rules JSON file
      * @param {Array} dynamicRules - Array of AI-generated rules from settings (optional)
+     * @param {Object} options - {legacyPatternsPath} to also load a legacy slop-patterns.json,
+     *                           {packRules} from enabled rule packs (optional)
      */
-    async loadRules(rulesFilePath, dynamicRules = []) {
+    async loadRules(rulesFilePath, dynamicRules = [], options = {}) {
         let staticRules = [];
+        const packRules = options.packRules || [];
 
         if (rulesFilePath) {
             // Load static rules from file
@@ -32,14 +146,426 @@ export class StaticFixer {
             }
         }
 
-        // Merge static + dynamic rules
+        if (options.legacyPatternsPath) {
+            // Legacy patterns are converted on the fly; ones already covered are skipped
+            try {
+                const response = await fetch(options.legacyPatternsPath);
+                const legacyPatterns = await response.json();
+                const { rules } = convertLegacyPatterns(legacyPatterns, [...staticRules, ...dynamicRules, ...packRules]);
+                staticRules = [...staticRules, ...rules];
+                console.log(`[StaticFixer] Loaded ${rules.length} legacy patterns from ${options.legacyPatternsPath}`);
+            } catch (error) {
+                console.error('[StaticFixer] Failed to load legacy patterns:', error);
+            }
+        }
+
+        // Merge static + dynamic + pack rules
         this.rules = [
             ...staticRules.map(r => ({ ...r, isStatic: true })),
-            ...dynamicRules.filter(r => !r.disabled).map(r => ({ ...r, isStatic: false }))
+            ...dynamicRules.filter(r => !r.disabled).map(r => ({ ...r, isStatic: false })),
+            ...packRules.filter(r => !r.disabled).map(r => ({ ...r, isStatic: false, isPack: true })),
+            ...this.linkedRules.filter(r => !r.disabled)
         ];
 
         const dynamicCount = dynamicRules.filter(r => !r.disabled).length;
-        console.log(`[StaticFixer] Total rules: ${this.rules.length} (${staticRules.length} static + ${dynamicCount} dynamic)`);
+        const packCount = packRules.filter(r => !r.disabled).length;
+        console.log(`[StaticFixer] Total rules: ${this.rules.length} (${staticRules.length} static + ${dynamicCount} dynamic + ${packCount} from packs)`);
+
+        this.compileRules();
+    }
+
+    /**
+     * Replace the rules linked from SillyTavern's Regex extension
+     * @param {Array} rules - Converted Regex extension scripts
+     */
+    setLinkedRules(rules) {
+        this.linkedRules = (rules || []).map(r => ({ ...r, isStatic: false, isLinked: true }));
+        this.rules = [
+            ...this.rules.filter(r => !r.isLinked),
+            ...this.linkedRules.filter(r => !r.disabled)
+        ];
+
+        console.log(`[StaticFixer] Linked ${this.linkedRules.length} Regex extension scripts`);
+        this.compileRules();
+    }
+
+    /**
+     * Set priority overrides (take precedence over each rule's own `priority`)
+     * @param {Object} priorities - Map of ruleKey to priority
+     */
+    setPriorities(priorities) {
+        this.priorities = priorities || {};
+        this.compiledRules.forEach(compiled => {
+            compiled.priority = this.getRulePriority(compiled.rule);
+        });
+        this.sortCompiledRules();
+    }
+
+    /**
+     * Get a rule's effective priority
+     * @param {Object} rule - Rule object
+     * @returns {Number} - Override, else rule.priority, else 0
+     */
+    getRulePriority(rule) {
+        const priority = Number(this.priorities[this.getRuleKey(rule)] ?? rule.priority ?? 0);
+        return Number.isFinite(priority) ? priority : 0;
+    }
+
+    /**
+     * Order compiled rules: higher priority first, equal priorities keep load order
+     * (static, dynamic, packs, linked), so the order never depends on anything else.
+     */
+    sortCompiledRules() {
+        this.compiledRules.sort((a, b) => b.priority - a.priority || a.order - b.order);
+    }
+
+    /**
+     * Compile every loaded rule once so messages don't pay for RegExp construction
+     * @returns {Number} - Number of rules that compiled successfully
+     */
+    compileRules() {
+        this.compiledRules = [];
+
+        this.rules.forEach((rule, order) => {
+            const compiled = this.compileRule(rule, order);
+            if (compiled) {
+                this.compiledRules.push(compiled);
+            }
+        });
+        this.sortCompiledRules();
+
+        console.log(`[StaticFixer] Compiled ${this.compiledRules.length}/${this.rules.length} rules`);
+        return this.compiledRules.length;
+    }
+
+    /**
+     * Compile a single rule into its regex and parsed replacement
+     * @param {Object} rule - Rule object
+     * @param {Number} order - Position of the rule in the load order
+     * @returns {Object|null} - Compiled rule, or null if the regex is invalid or fails the linter
+     */
+    compileRule(rule, order = 0) {
+        // Never activate a rule that could freeze the UI or produce broken output
+        const findings = lintRule(rule, { corpus: null });
+        if (hasLintErrors(findings)) {
+            console.warn(`[StaticFixer] Rule '${rule.scriptName}' not activated:\n${formatLintFindings(findings.filter(f => f.level === 'error'))}`);
+            return null;
+        }
+
+        try {
+            // Rules use 'gi' unless they carry their own flags (rule.flags or '/pattern/flags').
+            // Scanning always needs 'g'; without it only the first match is replaced.
+            const parsedRegex = parseRegexString(rule.findRegex);
+            const flags = rule.flags ?? parsedRegex.flags ?? 'gi';
+            const regex = new RegExp(parsedRegex.source, `g${flags.replace(/[gy]/g, '')}`);
+            const firstOnly = !flags.includes('g');
+
+            // Strings removed from every captured value before it is substituted
+            const trimStrings = Array.isArray(rule.trimStrings) ? rule.trimStrings.filter(Boolean) : [];
+
+            // Parse {{random:...}} / {{pick:...}} blocks once
+            const parsed = parseTemplate(rule.replaceString);
+            const template = parsed.blockCount > 0 ? parsed : null;
+
+            // Restrict the rule to narration, dialogue, or both
+            let scope = rule.scope || 'all';
+            if (!RULE_SCOPES.includes(scope)) {
+                console.warn(`[StaticFixer] Unknown scope '${scope}' in rule '${rule.scriptName}', using 'all'`);
+                scope = 'all';
+            }
+
+            const priority = this.getRulePriority(rule);
+
+            return { rule, order, priority, regex, firstOnly, trimStrings, template, scope };
+        } catch (error) {
+            console.warn(`[StaticFixer] Invalid regex in rule '${rule.scriptName}':`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Get compiled rules that are currently enabled
+     * @returns {Array} - Compiled rules in priority order
+     */
+    getActiveRules() {
+        return this.compiledRules.filter(compiled => !compiled.rule.disabled);
+    }
+
+    /**
+     * Get compiled rules enabled under per-character / per-chat overrides
+     * Only loaded rules can be switched on; a rule or category set to false is skipped.
+     * @param {Array} overrides - Override layers, least specific first (see rule-overrides.js)
+     * @returns {Array} - Compiled rules in priority order
+     */
+    getRulesForOverrides(overrides = []) {
+        if (!overrides || overrides.length === 0) return this.getActiveRules();
+        return this.compiledRules.filter(compiled => isRuleEnabled(compiled.rule, this.getRuleKey(compiled.rule), overrides));
+    }
+
+    /**
+     * Find all non-overlapping matches of the given rules in a single left-to-right scan.
+     * At each position the earliest match wins, unless a higher-priority rule's match
+     * overlaps it; ties go to the rule listed first (see sortCompiledRules).
+     * Text consumed by a match is never offered to another rule.
+     * @param {String} text - Text to scan
+     * @param {Array} compiledRules - Compiled rules to match
+     * @returns {Array} - Array of {compiled, match} sorted by position
+     */
+    findMatches(text, compiledRules = this.getActiveRules()) {
+        const matches = [];
+        // Only split into dialogue/narration when a scoped rule needs it
+        const segments = compiledRules.some(compiled => compiled.scope !== 'all')
+            ? segmentDialogue(text)
+            : null;
+        // Cached next match per rule: undefined = not searched yet, null = no more matches
+        const pending = new Array(compiledRules.length);
+        let cursor = 0;
+
+        while (cursor < text.length) {
+            let best = null;
+            let bestIndex = -1;
+
+            for (let i = 0; i < compiledRules.length; i++) {
+                let next = pending[i];
+                if (next === null) continue;
+
+                // Only re-run a rule once the scan has moved past its cached match
+                if (next === undefined || next.index < cursor) {
+                    next = this.nextMatch(compiledRules[i], text, cursor, segments);
+                    pending[i] = next;
+                    if (next === null) continue;
+                }
+
+                if (!best || next.index < best.index) {
+                    best = next;
+                    bestIndex = i;
+                }
+            }
+
+            if (!best) break;
+
+            // A higher-priority match overlapping this one takes the span; the loser
+            // searches again after its current start
+            const bestEnd = best.index + best[0].length;
+            const outranked = compiledRules.some((compiled, i) => pending[i] &&
+                pending[i].index < bestEnd &&
+                compiled.priority > compiledRules[bestIndex].priority);
+
+            if (outranked) {
+                pending[bestIndex] = this.nextMatch(compiledRules[bestIndex], text, best.index + 1, segments);
+                continue;
+            }
+
+            matches.push({ compiled: compiledRules[bestIndex], match: best });
+            cursor = best.index + best[0].length;
+
+            // Rules without the 'g' flag replace their first match only
+            if (compiledRules[bestIndex].firstOnly) {
+                pending[bestIndex] = null;
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Find a rule's next match that lies within the rule's scope
+     * @param {Object} compiled - Compiled rule
+     * @param {String} text - Text to search
+     * @param {Number} from - Offset to start at
+     * @param {Array|null} segments - Dialogue/narration segments of the text
+     * @returns {Array|null} - Match array or null
+     */
+    nextMatch(compiled, text, from, segments) {
+        let match = this.execFrom(compiled.regex, text, from);
+
+        if (compiled.scope === 'all' || !segments) return match;
+
+        while (match && !this.isInScope(compiled.scope, match.index, match.index + match[0].length, segments)) {
+            match = this.execFrom(compiled.regex, text, match.index + 1);
+        }
+
+        return match;
+    }
+
+    /**
+     * Check that a span lies entirely inside one segment of the wanted type
+     * @param {String} scope - 'narration' or 'dialogue'
+     * @param {Number} start - Span start offset
+     * @param {Number} end - Span end offset
+     * @param {Array} segments - Contiguous segments from segmentDialogue()
+     * @returns {Boolean} - True if the rule may replace this span
+     */
+    isInScope(scope, start, end, segments) {
+        const segment = segments.find(s => start >= s.start && start < s.end);
+        return !!segment && segment.type === scope && end <= segment.end;
+    }
+
+    /**
+     * Run a global regex from a given offset, skipping empty matches
+     * and matches that would swallow part of a protected span
+     * @param {RegExp} regex - Compiled global regex
+     * @param {String} text - Text to search
+     * @param {Number} from - Offset to start at
+     * @returns {Array|null} - Match array or null
+     */
+    execFrom(regex, text, from) {
+        regex.lastIndex = from;
+
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            if (match[0].length > 0 && !containsMask(match[0])) return match;
+            regex.lastIndex = match.index + 1;
+        }
+
+        return null;
+    }
+
+    /**
+     * Copy a match with the rule's trim strings removed from every captured value
+     * @param {Array} match - Regex match array
+     * @param {Array} trimStrings - Strings to remove
+     * @returns {Array} - Trimmed copy (index, groups and the original end preserved)
+     */
+    trimMatch(match, trimStrings) {
+        const trim = value => typeof value === 'string'
+            ? trimStrings.reduce((result, trimString) => result.split(trimString).join(''), value)
+            : value;
+
+        const trimmed = Array.from(match, trim);
+        trimmed.index = match.index;
+        trimmed.input = match.input;
+        trimmed.end = match.index + match[0].length;
+        if (match.groups) {
+            trimmed.groups = Object.fromEntries(Object.entries(match.groups).map(([name, value]) => [name, trim(value)]));
+        }
+        return trimmed;
+    }
+
+    /**
+     * Build the replacement text for a single match
+     * @param {Object} compiled - Compiled rule
+     * @param {Array} match - Regex match array
+     * @param {String} text - Full source text (for $` and $')
+     * @param {Array} choices - Collects {block, pool, index, text} for each alternative drawn (optional)
+     * @returns {String} - Replacement text
+     */
+    buildReplacement(compiled, match, text, choices = null) {
+        const values = compiled.trimStrings.length > 0
+            ? this.trimMatch(match, compiled.trimStrings)
+            : match;
+
+        if (compiled.template) {
+            const rendered = renderTemplate(compiled.template, {
+                expand: part => this.expandReplacement(part, values, text),
+                pools: this.pools,
+                choose: (alternatives, block) => {
+                    const index = this.chooseAlternative(compiled.rule, alternatives, block);
+                    if (choices) {
+                        choices.push({ block: block.index, pool: block.pool || null, index, text: alternatives[index].text });
+                    }
+                    return index;
+                }
+            });
+
+            // Missing {{pick:}} pool: leave the match untouched
+            return rendered === null ? match[0] : rendered;
+        }
+
+        // Simple string replacement (same $-patterns as String.prototype.replace)
+        return this.expandReplacement(compiled.rule.replaceString, values, text);
+    }
+
+    /**
+     * Expand $$, $&, $`, $', $n and $<name> in a replacement string
+     * @param {String} replacement - Replacement pattern
+     * @param {Array} match - Regex match array
+     * @param {String} text - Full source text
+     * @returns {String} - Expanded replacement
+     */
+    expandReplacement(replacement, match, text) {
+        if (!replacement.includes('$')) return replacement;
+
+        return replacement.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, symbol, name) => {
+            if (symbol === '$') return '$';
+            if (symbol === '&') return match[0];
+            if (symbol === '`') return text.slice(0, match.index);
+            if (symbol === "'") return text.slice(match.end ?? match.index + match[0].length);
+            if (name !== undefined) {
+                return match.groups && name in match.groups ? (match.groups[name] ?? '') : token;
+            }
+
+            // Prefer two-digit group references only when that group exists
+            let groupIndex = parseInt(symbol);
+            if (symbol.length === 2 && groupIndex >= match.length) {
+                groupIndex = parseInt(symbol[0]);
+                return groupIndex > 0 && groupIndex < match.length ? (match[groupIndex] ?? '') + symbol[1] : token;
+            }
+            return groupIndex > 0 && groupIndex < match.length ? (match[groupIndex] ?? '') : token;
+        });
+    }
+
+    /**
+     * Pick an alternative for one block, skipping ones used recently in this chat
+     * Once every alternative has been used the memory for that block starts over,
+     * without repeating the alternative drawn last.
+     * @param {Object} rule - Rule being applied
+     * @param {Array} alternatives - Array of {text, weight}
+     * @param {Object} block - Template block ({type, index, pool})
+     * @returns {Number} - Index of the chosen alternative
+     */
+    chooseAlternative(rule, alternatives, block) {
+        const memory = this.activeMemory;
+        if (!memory || alternatives.length < 2) {
+            return weightedIndex(alternatives, this.activeRandom);
+        }
+
+        // Pools are shared, so their memory is too
+        const key = block.type === 'pick' ? `pick:${block.pool}` : `${this.getRuleKey(rule)}#${block.index}`;
+        let used = Array.isArray(memory[key]) ? memory[key] : [];
+
+        const allIndexes = alternatives.map((_, index) => index);
+        let candidates = allIndexes.filter(index => !used.includes(alternatives[index].text));
+
+        if (candidates.length === 0) {
+            const last = used[used.length - 1];
+            used = [];
+            candidates = allIndexes.filter(index => alternatives[index].text !== last);
+            if (candidates.length === 0) candidates = allIndexes;
+        }
+
+        const chosen = candidates[weightedIndex(candidates.map(index => alternatives[index]), this.activeRandom)];
+        memory[key] = [...used, alternatives[chosen].text];
+
+        return chosen;
+    }
+
+    /**
+     * Check whether text after a deleted match starts with whitespace or punctuation
+     * @param {String} text - Full source text
+     * @param {Number} index - Position just after the deleted match
+     * @returns {Boolean} - True if whitespace before the match should be dropped
+     */
+    isDeletionSeam(text, index) {
+        return index >= text.length || /[\s,.;:!?]/.test(text[index]);
+    }
+
+    /**
+     * Measure the end punctuation a deleted sentence leaves behind
+     * "He sat. Her knees went weak. She" would otherwise become "He sat.. She".
+     * @param {String} output - Output so far (whitespace before the deletion already dropped)
+     * @param {String} text - Full source text
+     * @param {Number} index - Position just after the deleted match
+     * @returns {Number} - Characters after `index` to drop along with the match
+     */
+    orphanedPunctuationLength(output, text, index) {
+        const orphan = text.slice(index).match(/^[.!?…]+/);
+        if (!orphan || !isSentenceStart(output, output.length)) return 0;
+
+        // At the start of the text or a line the next sentence moves up, so its leading space goes too
+        const atLineStart = output.length === 0 || output.endsWith('\n');
+        const space = atLineStart ? text.slice(index + orphan[0].length).match(/^[^\S\r\n]*/)[0] : '';
+        return orphan[0].length + space.length;
     }
 
     /**
@@ -48,43 +574,376 @@ export class StaticFixer {
      * @returns {String} - Processed text with replacements applied
      */
     applyReplacements(text) {
-        if (!text || !this.enabled) return text;
+        return this.replaceWithRanges(text).text;
+    }
+
+    /**
+     * Apply static replacements and report where each replacement landed
+     * @param {String} text - Input text to process
+     * @param {Array} compiledRules - Rules to apply (defaults to active rules)
+     * @returns {Object} - {text, ranges: [{start, end}] in the output text, changes}
+     *                     changes[i] describes ranges[i]: {ruleId, scriptName, start, end,
+     *                     matched, replacement, captures, groups, alternatives} (start/end in the input)
+     */
+    replaceWithRanges(text, compiledRules = this.getActiveRules()) {
+        if (!text || !this.enabled) return { text, ranges: [], changes: [] };
 
-        let processedText = text;
-        // Apply both static and dynamic rules (filter out disabled)
-        const enabledRules = this.rules.filter(rule => !rule.disabled);
+        const matches = this.findMatches(text, compiledRules);
+        if (matches.length === 0) return { text, ranges: [], changes: [] };
 
-        enabledRules.forEach(rule => {
-            try {
-                // Compile regex with global and case-insensitive flags
-                const regex = new RegExp(rule.findRegex, 'gi');
-
-                if (rule.replaceString.includes('{{random:')) {
-                    // Parse {{random:option1,option2,...}} syntax
-                    const optionsMatch = rule.replaceString.match(/\{\{random:([\s\S]+?)\}\}/);
-                    if (optionsMatch && optionsMatch[1]) {
-                        const options = optionsMatch[1].split(',');
-
-                        processedText = processedText.replace(regex, (match, ...args) => {
-                            // Pick random option
-                            const chosenOption = options[Math.floor(Math.random() * options.length)].trim();
-
-                            // Replace backreferences ($1, $2, etc.) with captured groups
-                            return chosenOption.replace(/\$(\d)/g, (_, groupIndex) => {
-                                return args[parseInt(groupIndex) - 1] || '';
-                            });
-                        });
-                    }
+        let processedText = '';
+        let cursor = 0;
+        const ranges = [];
+        const changes = [];
+
+        matches.forEach(({ compiled, match }) => {
+            processedText += text.slice(cursor, match.index);
+            cursor = match.index + match[0].length;
+
+            const alternatives = [];
+            const replacement = this.buildReplacement(compiled, match, text, alternatives);
+            if (replacement === '' && this.isDeletionSeam(text, cursor)) {
+                // Deletion: don't leave a double space, a space before punctuation
+                // or the end punctuation of a sentence that is gone
+                processedText = processedText.replace(/[^\S\r\n]+$/, '');
+                cursor += this.orphanedPunctuationLength(processedText, text, cursor);
+            }
+
+            const start = processedText.length;
+            processedText += replacement;
+            ranges.push({ start, end: processedText.length });
+            changes.push({
+                ruleId: this.getRuleKey(compiled.rule),
+                scriptName: compiled.rule.scriptName || 'Unnamed',
+                start: match.index,
+                end: cursor,
+                matched: match[0],
+                replacement,
+                captures: match.slice(1).map(value => value ?? null),
+                groups: match.groups ? { ...match.groups } : null,
+                alternatives
+            });
+        });
+
+        return { text: processedText + text.slice(cursor), ranges, changes };
+    }
+
+    /**
+     * Attach a persistent store for rule hit statistics
+     * @param {Object} store - Object to keep stats in (e.g. extension settings)
+     * @param {Function} onChange - Called after a message produced hits (optional)
+     */
+    setRuleStats(store, onChange = null) {
+        this.ruleStats = store || {};
+        this.onStatsChanged = onChange;
+    }
+
+    /**
+     * Get the key a rule's statistics are stored under
+     * @param {Object} rule - Rule object
+     * @returns {String} - Rule key
+     */
+    getRuleKey(rule) {
+        return rule.id || rule.scriptName;
+    }
+
+    /**
+     * Record a single match of a rule
+     * @param {String} key - Rule key (see getRuleKey())
+     * @param {String} matchedText - Text the rule replaced
+     */
+    recordHit(key, matchedText) {
+        const stats = this.ruleStats[key] || { hits: 0, lastHit: null, charsReplaced: 0 };
+
+        stats.hits++;
+        stats.lastHit = new Date().toISOString();
+        stats.charsReplaced += matchedText.length;
+
+        this.ruleStats[key] = stats;
+    }
+
+    /**
+     * Commit a processWithChanges() result once its text is actually used
+     * Previews the user rejects must neither count as hits nor use up alternatives.
+     * @param {Object} result - Result of processWithChanges()
+     */
+    commit(result) {
+        const changes = result?.changes || [];
+        if (changes.length > 0) {
+            changes.forEach(change => this.recordHit(change.ruleId, change.matched));
+
+            if (this.onStatsChanged) {
+                this.onStatsChanged(this.ruleStats);
+            }
+        }
+
+        const memory = result?.memory || {};
+        if (this.choiceMemory && Object.keys(memory).length > 0) {
+            Object.assign(this.choiceMemory, memory);
+
+            if (this.onChoiceMemoryChanged) {
+                this.onChoiceMemoryChanged(this.choiceMemory);
+            }
+        }
+    }
+
+    /**
+     * Get hit statistics for every loaded rule
+     * @returns {Array} - Array of {id, scriptName, category, isStatic, packId, disabled, hits, lastHit, charsReplaced}
+     */
+    getRuleStatsReport() {
+        return this.rules.map(rule => {
+            const stats = this.ruleStats[this.getRuleKey(rule)] || {};
+
+            return {
+                id: this.getRuleKey(rule),
+                scriptName: rule.scriptName || 'Unnamed',
+                category: rule.category || 'Uncategorized',
+                isStatic: !!rule.isStatic,
+                packId: rule.packId || null,
+                disabled: !!rule.disabled,
+                hits: stats.hits || 0,
+                lastHit: stats.lastHit || null,
+                charsReplaced: stats.charsReplaced || 0
+            };
+        });
+    }
+
+    /**
+     * Get enabled rules that have never matched
+     * @returns {Array} - Report entries with zero hits
+     */
+    getDeadRules() {
+        return this.getRuleStatsReport().filter(entry => !entry.disabled && entry.hits === 0);
+    }
+
+    /**
+     * Clear all hit statistics
+     */
+    resetRuleStats() {
+        Object.keys(this.ruleStats).forEach(key => delete this.ruleStats[key]);
+
+        if (this.onStatsChanged) {
+            this.onStatsChanged(this.ruleStats);
+        }
+    }
+
+    /**
+     * Run the examples attached to rules
+     * Each example is {input, shouldMatch (default true), expectedContains}.
+     * expectedContains (a string or array of strings) is checked, ignoring case,
+     * against a seeded replacement, so it should be text every alternative
+     * produces (e.g. a captured pronoun). Tests never touch stats or no-repeat memory.
+     * @param {Array} rules - Rules to test (defaults to all loaded rules)
+     * @returns {Object} - {total, passed, failed, untested, failures: [{ruleKey, scriptName, example, reason}]}
+     */
+    runRuleTests(rules = this.rules) {
+        const report = { total: 0, passed: 0, failed: 0, untested: 0, failures: [] };
+
+        rules.forEach(rule => {
+            const examples = Array.isArray(rule.examples) ? rule.examples : [];
+            if (examples.length === 0) {
+                report.untested++;
+                return;
+            }
+
+            const compiled = this.compileRule(rule);
+
+            examples.forEach(example => {
+                report.total++;
+                const reason = compiled
+                    ? this.checkExample(compiled, example)
+                    : 'Rule does not compile or failed the linter';
+
+                if (reason) {
+                    report.failed++;
+                    report.failures.push({ ruleKey: this.getRuleKey(rule), scriptName: rule.scriptName, example, reason });
                 } else {
-                    // Simple string replacement
-                    processedText = processedText.replace(regex, rule.replaceString);
+                    report.passed++;
+                }
+            });
+        });
+
+        console.log(`[StaticFixer] Rule tests: ${report.passed}/${report.total} passed (${report.untested} rules without examples)`);
+        return report;
+    }
+
+    /**
+     * Check one example against a compiled rule
+     * @param {Object} compiled - Compiled rule
+     * @param {Object} example - {input, shouldMatch, expectedContains}
+     * @returns {String|null} - Failure reason, or null if the example passes
+     */
+    checkExample(compiled, example) {
+        const input = String(example.input ?? '');
+        const shouldMatch = example.shouldMatch !== false;
+        const masked = maskProtectedSpans(input, this.protectedPatterns);
+        const matches = this.findMatches(masked.text, [compiled]);
+
+        if (shouldMatch && matches.length === 0) {
+            return `Expected a match in "${input}"`;
+        }
+        if (!shouldMatch) {
+            return matches.length > 0 ? `Expected no match, but matched "${matches[0].match[0]}"` : null;
+        }
+
+        const expected = [].concat(example.expectedContains ?? []).filter(Boolean);
+        if (expected.length === 0) return null;
+
+        // Seed by rule so the same rule always renders the same alternative
+        this.activeRandom = createSeededRandom(this.getRuleKey(compiled.rule));
+        this.activeMemory = null;
+
+        let output = '';
+        try {
+            let cursor = 0;
+            matches.forEach(({ match }) => {
+                output += masked.text.slice(cursor, match.index) + this.buildReplacement(compiled, match, masked.text);
+                cursor = match.index + match[0].length;
+            });
+            output = restoreProtectedSpans(output + masked.text.slice(cursor), masked.spans);
+        } finally {
+            this.activeRandom = Math.random;
+        }
+
+        const missing = expected.find(text => !output.toLowerCase().includes(String(text).toLowerCase()));
+        return missing !== undefined ? `Output "${output}" does not contain "${missing}"` : null;
+    }
+
+    /**
+     * Collect sample text for conflict analysis: every rule's matching examples plus extra text
+     * @param {Array} extraTexts - More samples, e.g. recent chat messages (optional)
+     * @returns {Array} - Sample strings
+     */
+    buildConflictCorpus(extraTexts = []) {
+        const examples = this.rules.flatMap(rule => (Array.isArray(rule.examples) ? rule.examples : [])
+            .filter(example => example && example.shouldMatch !== false)
+            .map(example => String(example.input ?? '')));
+
+        return [...new Set([...examples, ...extraTexts])].filter(text => typeof text === 'string' && text.trim());
+    }
+
+    /**
+     * Find pairs of rules that match overlapping spans of a corpus
+     * Every rule runs on its own, so overlaps the normal scan resolves silently are reported too.
+     * @param {Array} corpus - Sample strings (see buildConflictCorpus)
+     * @param {Array} compiledRules - Rules to check (defaults to active rules)
+     * @returns {Array} - [{a, b, count, sample, winner}] sorted by count; a/b are
+     *                    {key, scriptName, priority, isStatic, packId}, winner is the key of
+     *                    the rule that keeps the span in the first sample
+     */
+    analyzeConflicts(corpus, compiledRules = this.getActiveRules()) {
+        const pairs = new Map();
+        const describe = compiled => ({
+            key: this.getRuleKey(compiled.rule),
+            scriptName: compiled.rule.scriptName || 'Unnamed',
+            priority: compiled.priority,
+            isStatic: !!compiled.rule.isStatic,
+            packId: compiled.rule.packId || null
+        });
+
+        corpus.forEach(sample => {
+            const masked = maskProtectedSpans(String(sample), this.protectedPatterns);
+            const text = masked.text;
+            const segments = compiledRules.some(compiled => compiled.scope !== 'all') ? segmentDialogue(text) : null;
+
+            // Every match of every rule, in list order (rank = position in compiledRules)
+            const spans = [];
+            compiledRules.forEach((compiled, rank) => {
+                let match = this.nextMatch(compiled, text, 0, segments);
+                while (match) {
+                    const end = match.index + match[0].length;
+                    spans.push({ rank, start: match.index, end });
+                    if (compiled.firstOnly) break;
+                    match = this.nextMatch(compiled, text, end, segments);
+                }
+            });
+            spans.sort((x, y) => x.start - y.start || x.rank - y.rank);
+
+            for (let i = 0; i < spans.length; i++) {
+                for (let j = i + 1; j < spans.length && spans[j].start < spans[i].end; j++) {
+                    if (spans[i].rank === spans[j].rank) continue;
+
+                    const [first, second] = spans[i].rank < spans[j].rank ? [spans[i], spans[j]] : [spans[j], spans[i]];
+                    const pairKey = `${first.rank}|${second.rank}`;
+                    let entry = pairs.get(pairKey);
+                    if (!entry) {
+                        const a = compiledRules[first.rank];
+                        const b = compiledRules[second.rank];
+                        const start = Math.min(first.start, second.start);
+                        const end = Math.max(first.end, second.end);
+
+                        // Which rule the real scan lets through on this sample
+                        const kept = this.findMatches(text, [a, b])
+                            .find(({ match }) => match.index < end && match.index + match[0].length > start);
+
+                        entry = {
+                            a: describe(a),
+                            b: describe(b),
+                            count: 0,
+                            sample: restoreProtectedSpans(text.slice(Math.max(0, start - 30), end + 30), masked.spans).trim(),
+                            winner: kept ? this.getRuleKey(kept.compiled.rule) : null
+                        };
+                        pairs.set(pairKey, entry);
+                    }
+                    entry.count++;
                 }
-            } catch (error) {
-                console.warn(`[StaticFixer] Invalid regex in rule '${rule.scriptName}':`, error);
             }
         });
 
-        return processedText;
+        const conflicts = [...pairs.values()].sort((x, y) => y.count - x.count);
+        console.log(`[StaticFixer] Conflict analysis: ${conflicts.length} overlapping rule pairs in ${corpus.length} samples`);
+        return conflicts;
+    }
+
+    /**
+     * Benchmark the loaded rules against a sample text
+     * @param {String} text - Sample text to run the rules over
+     * @param {Number} iterations - Number of runs to average over
+     * @returns {Object} - {iterations, textLength, combinedAvgMs, perRule: [{id, scriptName, avgMs, matches}]}
+     */
+    benchmark(text, iterations = 100) {
+        const activeRules = this.getActiveRules();
+
+        const perRule = activeRules.map(compiled => {
+            let matches = 0;
+            const start = performance.now();
+
+            for (let i = 0; i < iterations; i++) {
+                matches = 0;
+                let cursor = 0;
+                let match;
+                while ((match = this.execFrom(compiled.regex, text, cursor)) !== null) {
+                    matches++;
+                    cursor = match.index + match[0].length;
+                }
+            }
+
+            const avgMs = (performance.now() - start) / iterations;
+
+            return {
+                id: compiled.rule.id,
+                scriptName: compiled.rule.scriptName,
+                avgMs,
+                matches
+            };
+        });
+
+        // Slowest rules first
+        perRule.sort((a, b) => b.avgMs - a.avgMs);
+
+        const start = performance.now();
+        for (let i = 0; i < iterations; i++) {
+            this.findMatches(text, activeRules);
+        }
+        const combinedAvgMs = (performance.now() - start) / iterations;
+
+        return {
+            iterations,
+            textLength: text.length,
+            combinedAvgMs,
+            perRule
+        };
     }
 
     /**
@@ -98,28 +957,94 @@ export class StaticFixer {
 
         let fixed = text;
 
+        // Protected spans (code, OOC notes, URLs, masked markup) are opaque text: a placeholder
+        // only counts as markup when it touches the sentence end or the letter ("<i>she")
+        const mask = `(?:${MASK_TOKEN_SOURCE})*`;
+
         // Capitalize first letter (handling HTML tags)
-        fixed = fixed.replace(/^(\s*<[^>]*>)*([a-z])/s, (match, tags, letter) => {
+        fixed = fixed.replace(new RegExp(`^((?:\\s*<[^>]*>)*\\s*${mask})([a-z])`, 's'), (match, tags, letter) => {
             return `${tags || ''}${letter.toUpperCase()}`;
         });
 
-        // Capitalize after sentence endings
-        fixed = fixed.replace(/([.!?])(\s*<[^>]*>)*\s+([a-z])/gs, (match, punc, tags, letter) => {
-            return `${punc}${tags || ''} ${letter.toUpperCase()}`;
+        // Capitalize after sentence endings (same length, so change offsets stay valid)
+        fixed = fixed.replace(new RegExp(`([.!?])(${mask}(?:\\s*<[^>]*>)*)(\\s+)(${mask})([a-z])`, 'gs'), (match, punc, tags, space, lead, letter) => {
+            return `${punc}${tags || ''}${space}${lead}${letter.toUpperCase()}`;
         });
 
         return fixed;
     }
 
     /**
-     * Process text - apply replacements and fix capitalization
+     * Process text - apply replacements, repair grammar around them and fix capitalization
+     * Protected spans are masked first and restored untouched afterwards.
+     * With a seed (options.seed, or one set with setSeed()) the result is reproducible:
+     * seeded runs neither read nor update the chat's no-repeat memory.
      * @param {String} text - Input text
+     * @param {Object} options - {seed, overrides} (optional); overrides are per-character /
+     *                           per-chat layers, least specific first (see rule-overrides.js)
      * @returns {String} - Processed text
      */
-    process(text) {
-        let processed = this.applyReplacements(text);
-        processed = this.fixCapitalization(processed);
-        return processed;
+    process(text, options = {}) {
+        const result = this.processWithChanges(text, options);
+        this.commit(result);
+        return result.text;
+    }
+
+    /**
+     * Process text and explain every replacement
+     * Each change is a replaceWithRanges() change with start/end moved to the input
+     * text, plus outputStart/outputEnd and `output` (the text as it reads after
+     * grammar repair) in the returned text.
+     * Nothing is recorded until the result is passed to commit(): `memory` holds
+     * the no-repeat memory entries this run would update.
+     * @param {String} text - Input text
+     * @param {Object} options - {seed, overrides} (optional, see process())
+     * @returns {Object} - {text, changes, memory}
+     */
+    processWithChanges(text, options = {}) {
+        if (!text || !this.enabled) return { text, changes: [], memory: {} };
+
+        const seed = options.seed ?? this.seed;
+        const seeded = seed !== undefined && seed !== null;
+        this.activeRandom = seeded ? createSeededRandom(seed) : Math.random;
+        // Choices go to a copy of the memory until commit()
+        this.activeMemory = !seeded && this.choiceMemory ? { ...this.choiceMemory } : null;
+
+        try {
+            const masked = maskProtectedSpans(text, this.protectedPatterns);
+
+            const replaced = this.replaceWithRanges(masked.text, this.getRulesForOverrides(options.overrides));
+            const repaired = this.grammarRepair
+                ? repairGrammarWithRanges(replaced.text, replaced.ranges)
+                : replaced;
+            const processed = this.fixCapitalization(repaired.text);
+            const output = restoreProtectedSpans(processed, masked.spans);
+
+            const changes = replaced.changes.map((change, i) => {
+                const outputStart = restoredOffset(processed, masked.spans, repaired.ranges[i].start);
+                const outputEnd = restoredOffset(processed, masked.spans, repaired.ranges[i].end);
+                return {
+                    ...change,
+                    start: restoredOffset(masked.text, masked.spans, change.start),
+                    end: restoredOffset(masked.text, masked.spans, change.end),
+                    outputStart,
+                    outputEnd,
+                    output: output.slice(outputStart, outputEnd)
+                };
+            });
+
+            const memory = {};
+            if (this.activeMemory) {
+                Object.entries(this.activeMemory)
+                    .filter(([key, used]) => used !== this.choiceMemory[key])
+                    .forEach(([key, used]) => { memory[key] = used; });
+            }
+
+            return { text: output, changes, memory };
+        } finally {
+            this.activeRandom = Math.random;
+            this.activeMemory = null;
+        }
     }
 
     /**
@@ -0,0 +1,262 @@
+/**
+ * Shared Text Tokenizer
+ * Used by Module A (Static Fixer) and Module B (Passive Watcher)
+ *
+ * Recognizes regions of a message that text rules must never rewrite
+ * (code, HTML markup, URLs, OOC notes) and masks them behind placeholder
+ * tokens so regex rules can run over the rest of the text safely.
+ */
+
+// Built-in protected span types. Patterns are regex sources compiled with 'gi'.
+export const DEFAULT_PROTECTED_SPANS = [
+    { id: 'code_block', name: 'Code blocks', pattern: '(?:```|~~~)\\w*\\s*[\\s\\S]*?(?:```|~~~)' },
+    { id: 'inline_code', name: 'Inline code', pattern: '`[^`\\n]+`' },
+    { id: 'html_tag', name: 'HTML tags and attributes', pattern: '<[^>]*>' },
+    { id: 'url', name: 'URLs', pattern: '\\b(?:https?|ftp):\\/\\/[^\\s<>"\']+|\\bwww\\.[^\\s<>"\']+' },
+    { id: 'ooc', name: 'OOC sections', pattern: '\\(\\s*OOC\\s*:[\\s\\S]*?\\)|\\[\\s*OOC\\s*:[\\s\\S]*?\\]' }
+];
+
+// Placeholder tokens use Private Use Area characters: they are neither word
+// characters nor whitespace, so \b, \w and \s in rules never match them.
+const MASK_OPEN = '\uE000';
+const MASK_CLOSE = '\uE001';
+const MASK_INDEX_BASE = 0xE100;
+const MASK_INDEX_LIMIT = 0xEFFF - MASK_INDEX_BASE;
+
+// Regex source matching one whole placeholder token
+export const MASK_TOKEN_SOURCE = '\\uE000[\\uE100-\\uEFFF]\\uE001';
+
+const MASK_CHAR_REGEX = /[\uE000-\uEFFF]/;
+const MASK_TOKEN_REGEX = new RegExp(MASK_TOKEN_SOURCE, 'g');
+
+/**
+ * Get built-in protected span definitions by ID
+ * @param {Array} ids - Span type IDs (e.g. ['code_block', 'html_tag'])
+ * @returns {Array} - Matching span definitions
+ */
+export function getProtectedSpanPatterns(ids) {
+    return DEFAULT_PROTECTED_SPANS.filter(span => ids.includes(span.id));
+}
+
+/**
+ * Compile span definitions, skipping invalid patterns
+ * @param {Array} patterns - Array of {id, name, pattern} or regex source strings
+ * @returns {Array} - Array of RegExp objects
+ */
+export function compileSpanPatterns(patterns) {
+    const compiled = [];
+
+    (patterns || []).forEach(definition => {
+        const source = typeof definition === 'string' ? definition : definition.pattern;
+        if (!source) return;
+
+        try {
+            compiled.push(new RegExp(source, 'gi'));
+        } catch (error) {
+            console.warn(`[TextTokenizer] Invalid protected span pattern '${source}':`, error.message);
+        }
+    });
+
+    return compiled;
+}
+
+/**
+ * Find protected regions in text
+ * Overlapping or touching regions are merged into one.
+ * @param {String} text - Text to scan
+ * @param {Array} patterns - Span definitions or compiled RegExp objects
+ * @returns {Array} - Sorted array of {start, end}
+ */
+export function findProtectedSpans(text, patterns) {
+    if (!text) return [];
+
+    const regexes = (patterns || []).every(p => p instanceof RegExp)
+        ? patterns
+        : compileSpanPatterns(patterns);
+
+    const ranges = [];
+    regexes.forEach(regex => {
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+            }
+            ranges.push({ start: match.index, end: match.index + match[0].length });
+        }
+    });
+
+    ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    const merged = [];
+    ranges.forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Replace protected regions with placeholder tokens
+ * @param {String} text - Original text
+ * @param {Array} patterns - Span definitions or compiled RegExp objects
+ * @returns {Object} - {text: masked text, spans: original span strings}
+ */
+export function maskProtectedSpans(text, patterns) {
+    const ranges = findProtectedSpans(text, patterns);
+    if (ranges.length === 0) return { text, spans: [] };
+
+    if (ranges.length > MASK_INDEX_LIMIT) {
+        console.warn(`[TextTokenizer] Too many protected spans (${ranges.length}), leaving text unmasked`);
+        return { text, spans: [] };
+    }
+
+    const spans = [];
+    let masked = '';
+    let cursor = 0;
+
+    ranges.forEach(range => {
+        masked += text.slice(cursor, range.start);
+        masked += MASK_OPEN + String.fromCharCode(MASK_INDEX_BASE + spans.length) + MASK_CLOSE;
+        spans.push(text.slice(range.start, range.end));
+        cursor = range.end;
+    });
+
+    return { text: masked + text.slice(cursor), spans };
+}
+
+/**
+ * Put protected regions back in place of their placeholder tokens
+ * @param {String} text - Masked text
+ * @param {Array} spans - Span strings returned by maskProtectedSpans
+ * @returns {String} - Restored text
+ */
+export function restoreProtectedSpans(text, spans) {
+    if (!text || !spans || spans.length === 0) return text;
+
+    return text.replace(MASK_TOKEN_REGEX, token => {
+        const index = token.charCodeAt(1) - MASK_INDEX_BASE;
+        return spans[index] ?? '';
+    });
+}
+
+/**
+ * Map a position in masked text to the same position after restoreProtectedSpans()
+ * @param {String} text - Masked text
+ * @param {Array} spans - Span strings returned by maskProtectedSpans
+ * @param {Number} offset - Position in the masked text
+ * @returns {Number} - Position in the restored text
+ */
+export function restoredOffset(text, spans, offset) {
+    if (!text || !spans || spans.length === 0) return offset;
+
+    let shift = 0;
+    for (const token of text.slice(0, offset).matchAll(MASK_TOKEN_REGEX)) {
+        const span = spans[token[0].charCodeAt(1) - MASK_INDEX_BASE] ?? '';
+        shift += span.length - token[0].length;
+    }
+    return offset + shift;
+}
+
+/**
+ * Check whether a string contains any part of a placeholder token
+ * @param {String} text - Text to check
+ * @returns {Boolean} - True if a mask character is present
+ */
+export function containsMask(text) {
+    return MASK_CHAR_REGEX.test(text);
+}
+
+/**
+ * Replace protected regions with a single space (for analysis, not editing)
+ * @param {String} text - Original text
+ * @param {Array} patterns - Span definitions or compiled RegExp objects
+ * @returns {String} - Text without the protected regions
+ */
+export function stripProtectedSpans(text, patterns) {
+    const ranges = findProtectedSpans(text, patterns);
+    if (ranges.length === 0) return text;
+
+    let stripped = '';
+    let cursor = 0;
+
+    ranges.forEach(range => {
+        stripped += text.slice(cursor, range.start) + ' ';
+        cursor = range.end;
+    });
+
+    return stripped + text.slice(cursor);
+}
+
+// Opening quote -> accepted closing quotes. Straight quotes toggle.
+const DIALOGUE_QUOTES = {
+    '"': ['"'],
+    '“': ['”'],      // “English”
+    '„': ['“', '”'], // „German“
+    '«': ['»']       // «guillemets»
+};
+
+/**
+ * Check whether a newline at the given index starts a paragraph break
+ * @param {String} text - Full text
+ * @param {Number} index - Index of a '\n' character
+ * @returns {Boolean} - True if only whitespace separates it from another newline
+ */
+function isParagraphBreak(text, index) {
+    for (let i = index + 1; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\n') return true;
+        if (ch !== ' ' && ch !== '\t' && ch !== '\r') return false;
+    }
+    return false;
+}
+
+/**
+ * Split text into dialogue and narration segments
+ * Handles straight quotes, curly quotes and guillemets. Quote marks belong
+ * to the dialogue segment. An unclosed quote ends at the next paragraph break.
+ * @param {String} text - Text to split
+ * @returns {Array} - Contiguous array of {type: 'dialogue'|'narration', start, end}
+ */
+export function segmentDialogue(text) {
+    const segments = [];
+    if (!text) return segments;
+
+    let type = 'narration';
+    let start = 0;
+    let closers = null;
+
+    const cut = (end, nextType) => {
+        if (end > start) {
+            segments.push({ type, start, end });
+        }
+        start = end;
+        type = nextType;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (closers === null) {
+            if (DIALOGUE_QUOTES[ch]) {
+                cut(i, 'dialogue');
+                closers = DIALOGUE_QUOTES[ch];
+            }
+        } else if (closers.includes(ch)) {
+            cut(i + 1, 'narration');
+            closers = null;
+        } else if (ch === '\n' && isParagraphBreak(text, i)) {
+            cut(i, 'narration');
+            closers = null;
+        }
+    }
+
+    cut(text.length, 'narration');
+    return segments;
+}
@@ -0,0 +1,129 @@
+/**
+ * User Profile
+ * Used by Module B (Passive Watcher), Module C (Proactive Injector) and Quality Mode
+ *
+ * Module B only learns from the AI. This optional second profile learns the
+ * user's own phrasing from their messages, for two things:
+ *   - Module C doesn't ban phrases the user likes to use themselves
+ *   - "parroting" (the AI echoing the user's last message back nearly verbatim)
+ *     is detected against the preceding user turn and becomes a Quality Mode violation
+ * The profile is a PassiveWatcher restricted to user messages, so it groups
+ * phrases and retracts edited / deleted messages the same way Module B does.
+ */
+
+import { PassiveWatcher } from './passive-watcher.js';
+
+// The user "uses" a phrase once it appears in this many of their messages' n-grams
+const USER_PHRASE_MIN_COUNT = 2;
+// A user phrase inside a longer AI phrase only protects it if it's at least this long
+const MIN_CONTAINED_WORDS = 4;
+
+// Parroting: this many consecutive words copied from the user's message...
+const PARROT_MIN_RUN = 8;
+// ...or this share of the user's 4-word sequences repeated
+const PARROT_MIN_OVERLAP = 0.5;
+const PARROT_SHINGLE = 4;
+// User messages shorter than this are too short to parrot meaningfully
+const PARROT_MIN_USER_WORDS = 8;
+
+/**
+ * Split text into lowercase words for echo comparison
+ * @param {String} text - Message text
+ * @returns {Array} - Words
+ */
+function toWords(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[’‘]/g, "'")
+        .match(/[a-z0-9']+/g) || [];
+}
+
+/**
+ * Check whether an AI message echoes the user's message back
+ * @param {String} aiText - AI message
+ * @param {String} userText - The user message it replies to
+ * @returns {Object|null} - {longestRun, overlap, excerpt} when it parrots, otherwise null
+ */
+export function detectParroting(aiText, userText) {
+    const userWords = toWords(userText);
+    const aiWords = toWords(aiText);
+    if (userWords.length < PARROT_MIN_USER_WORDS || aiWords.length === 0) return null;
+
+    // Longest run of words copied verbatim (dynamic programming over both word lists)
+    let longestRun = 0;
+    let runEnd = 0;
+    let previous = new Array(aiWords.length + 1).fill(0);
+    for (let i = 1; i <= userWords.length; i++) {
+        const current = new Array(aiWords.length + 1).fill(0);
+        for (let j = 1; j <= aiWords.length; j++) {
+            if (userWords[i - 1] === aiWords[j - 1]) {
+                current[j] = previous[j - 1] + 1;
+                if (current[j] > longestRun) {
+                    longestRun = current[j];
+                    runEnd = i;
+                }
+            }
+        }
+        previous = current;
+    }
+
+    // Share of the user's 4-word sequences that reappear anywhere in the reply
+    const shingles = words => {
+        const set = new Set();
+        for (let i = 0; i + PARROT_SHINGLE <= words.length; i++) {
+            set.add(words.slice(i, i + PARROT_SHINGLE).join(' '));
+        }
+        return set;
+    };
+    const userShingles = shingles(userWords);
+    const aiShingles = shingles(aiWords);
+    const repeated = [...userShingles].filter(shingle => aiShingles.has(shingle)).length;
+    const overlap = userShingles.size > 0 ? repeated / userShingles.size : 0;
+
+    if (longestRun < PARROT_MIN_RUN && overlap < PARROT_MIN_OVERLAP) return null;
+
+    return {
+        longestRun,
+        overlap: Math.round(overlap * 100) / 100,
+        excerpt: userWords.slice(runEnd - longestRun, runEnd).join(' ')
+    };
+}
+
+export class UserProfile {
+    constructor() {
+        // User messages are short: a longer window, and phrases used twice survive pruning
+        this.watcher = new PassiveWatcher({ messageRole: 'user', analysisWindow: 50, slopThreshold: USER_PHRASE_MIN_COUNT });
+    }
+
+    /**
+     * Check whether the user uses a phrase (or a longer phrase containing it) themselves
+     * @param {Object|String} item - Phrase as reported by getOverusedPhrases() ({phrase, template}) or a string
+     * @returns {Boolean}
+     */
+    usesPhrase(item) {
+        const template = typeof item === 'string' ? this.watcher.toTemplate(item) : (item.template || this.watcher.toTemplate(item.phrase));
+        const padded = ` ${template} `;
+
+        for (const [userTemplate, data] of this.watcher.ngramFrequencies.entries()) {
+            if (data.count < USER_PHRASE_MIN_COUNT) continue;
+            if (` ${userTemplate} `.includes(padded)) return true;
+            if (userTemplate.split(' ').length >= MIN_CONTAINED_WORDS && padded.includes(` ${userTemplate} `)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Split phrases into ones to inject and ones the user uses themselves
+     * @param {Array} phrases - Phrases for Module C
+     * @returns {Object} - {kept, removed}
+     */
+    filterPhrases(phrases) {
+        const kept = [];
+        const removed = [];
+        (phrases || []).forEach(item => (this.usesPhrase(item) ? removed : kept).push(item));
+        return { kept, removed };
+    }
+}
+
+// Export default instance
+export default new UserProfile();